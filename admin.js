@@ -0,0 +1,31 @@
+/**
+ * admin.js (ESM)
+ *
+ * Admin-key gate for debug output.
+ * Debug is requested with "X-Debug: 1" or "?debug=1" and only honored
+ * when "X-Admin-Key" matches ADMIN_KEY (no ADMIN_KEY = never).
+ */
+
+import crypto from "crypto";
+import { config } from "./config.js";
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+export function isAdminRequest(req) {
+  const given = req.get("x-admin-key");
+  return Boolean(config.adminKey && given && safeEqual(given, config.adminKey));
+}
+
+function flagOn(v) {
+  return ["1", "true", "yes", "on"].includes(String(v ?? "").toLowerCase());
+}
+
+// True when the request asks for debug output and carries the admin key.
+export function wantsDebug(req) {
+  const asked = flagOn(req.get("x-debug")) || flagOn(req.query?.debug);
+  return asked && isAdminRequest(req);
+}
@@ -0,0 +1,156 @@
+/**
+ * audioStore.js (ESM)
+ *
+ * Short-lived in-memory audio by id, for GET /api/audio/:id.
+ * An entry can be filled while TTS is still streaming: readers get the chunks
+ * already received and are notified as new ones arrive.
+ *
+ * Entries expire after AUDIO_TTL_MS; the oldest finished entries are evicted
+ * when the total size passes AUDIO_STORE_MAX_BYTES.
+ */
+
+import crypto from "crypto";
+import { config } from "./config.js";
+import { makeLogger } from "./utils.js";
+
+const log = makeLogger("audioStore");
+
+const entries = new Map(); // id -> entry
+let totalBytes = 0;
+
+function notify(entry) {
+  for (const fn of entry.listeners) {
+    try {
+      fn();
+    } catch {
+      // listener errors must not break the producer
+    }
+  }
+}
+
+function removeEntry(id) {
+  const e = entries.get(id);
+  if (!e) return;
+  entries.delete(id);
+  totalBytes -= e.bytes;
+  e.listeners.clear();
+}
+
+function evictIfNeeded() {
+  if (totalBytes <= config.audioStoreMaxBytes) return;
+  // Map iteration order is insertion order: oldest first.
+  for (const [id, e] of entries) {
+    if (totalBytes <= config.audioStoreMaxBytes) break;
+    if (!e.done) continue;
+    removeEntry(id);
+  }
+}
+
+export function createAudioEntry(contentType) {
+  const now = Date.now();
+  const entry = {
+    id: crypto.randomUUID(),
+    contentType,
+    chunks: [],
+    bytes: 0,
+    done: false,
+    error: null,
+    createdAt: now,
+    expiresAt: now + config.audioTtlMs,
+    listeners: new Set(),
+  };
+  entries.set(entry.id, entry);
+  return entry;
+}
+
+export function appendAudioChunk(entry, chunk) {
+  if (!chunk?.length || entry.done) return;
+  const buf = Buffer.from(chunk);
+  entry.chunks.push(buf);
+  entry.bytes += buf.length;
+  totalBytes += buf.length;
+  notify(entry);
+}
+
+export function finishAudioEntry(entry, error = null) {
+  if (entry.done) return;
+  entry.done = true;
+  entry.error = error;
+  notify(entry);
+  evictIfNeeded();
+}
+
+export function putCompleteAudio(buf, contentType) {
+  const entry = createAudioEntry(contentType);
+  appendAudioChunk(entry, buf);
+  finishAudioEntry(entry);
+  return entry;
+}
+
+export function getAudioEntry(id) {
+  const e = entries.get(String(id || ""));
+  if (!e) return null;
+  if (Date.now() > e.expiresAt) {
+    removeEntry(e.id);
+    return null;
+  }
+  return e;
+}
+
+/**
+ * Subscribe to changes (new chunk or done). Returns an unsubscribe function.
+ */
+export function onAudioChange(entry, fn) {
+  entry.listeners.add(fn);
+  return () => entry.listeners.delete(fn);
+}
+
+/**
+ * Resolves with the entry once it is complete (or failed), or with null after timeoutMs
+ * (0 = no limit) or when signal aborts (client gone). The listener is removed either way.
+ */
+export function waitForAudio(entry, { timeoutMs = 0, signal = null } = {}) {
+  if (entry.done) return Promise.resolve(entry);
+  if (signal?.aborted) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    let timer = null;
+    const settle = (value) => {
+      off();
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      resolve(value);
+    };
+    const onAbort = () => settle(null);
+    const off = onAudioChange(entry, () => {
+      if (entry.done) settle(entry);
+    });
+    if (timeoutMs > 0) timer = setTimeout(() => settle(null), timeoutMs);
+    signal?.addEventListener("abort", onAbort);
+  });
+}
+
+/**
+ * Fill an entry from an async iterable of chunks (e.g. a streaming TTS response).
+ * Resolves with the full buffer, or null on failure (the entry is marked failed).
+ */
+export async function fillAudioEntry(entry, chunks) {
+  try {
+    for await (const chunk of chunks) appendAudioChunk(entry, chunk);
+    finishAudioEntry(entry);
+    return Buffer.concat(entry.chunks);
+  } catch (e) {
+    log.warn("audio stream failed:", entry.id, e?.message || e);
+    finishAudioEntry(entry, e);
+    return null;
+  }
+}
+
+function sweep() {
+  const now = Date.now();
+  for (const [id, e] of entries) {
+    if (now > e.expiresAt) removeEntry(id);
+  }
+}
+
+setInterval(sweep, 60 * 1000).unref();
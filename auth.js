@@ -0,0 +1,157 @@
+/**
+ * auth.js (ESM)
+ *
+ * Device identity: POST /api/devices/register issues a signed token (JWT, HS256, AUTH_SECRET);
+ * the app sends it as "Authorization: Bearer <token>" and authMiddleware sets req.userId
+ * from it. Handlers read the user via requestUserId(req), never from the body.
+ *
+ * Modes:
+ * - AUTH_SECRET empty: auth off. req.userId comes from body/query userId (old behavior).
+ * - AUTH_SECRET set: a valid token is required on /api routes (401 otherwise).
+ * - AUTH_ALLOW_LEGACY=1: as above, but token-less requests still fall back to body/query userId.
+ *   Registering does not adopt that userId: a device starts a new profile under its token.
+ */
+
+import crypto from "crypto";
+import { config } from "./config.js";
+import { HttpError, makeLogger } from "./utils.js";
+
+const log = makeLogger("auth");
+
+const USER_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export function authEnabled() {
+  return Boolean(config.authSecret);
+}
+
+function b64url(buf) {
+  return Buffer.from(buf).toString("base64url");
+}
+
+function hmac(data) {
+  return crypto.createHmac("sha256", config.authSecret).update(data).digest();
+}
+
+/**
+ * Sign a device token for userId. Returns { token, expiresAt }.
+ */
+export function signDeviceToken(userId) {
+  if (!authEnabled()) throw new HttpError(503, "Device auth is not configured (AUTH_SECRET)");
+
+  const iat = Math.floor(Date.now() / 1000);
+  const exp = iat + Math.max(1, config.authTokenTtlDays) * 24 * 60 * 60;
+  const header = b64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = b64url(JSON.stringify({ sub: userId, typ: "device", iat, exp }));
+  const sig = b64url(hmac(`${header}.${payload}`));
+
+  return { token: `${header}.${payload}.${sig}`, expiresAt: new Date(exp * 1000).toISOString() };
+}
+
+/**
+ * Verify a token; returns the claims or throws HttpError(401).
+ */
+export function verifyDeviceToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3) throw new HttpError(401, "Invalid token");
+
+  const [header, payload, sig] = parts;
+  const expected = hmac(`${header}.${payload}`);
+  const given = Buffer.from(sig, "base64url");
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new HttpError(401, "Invalid token");
+  }
+
+  let claims;
+  try {
+    const h = JSON.parse(Buffer.from(header, "base64url").toString("utf8"));
+    if (h?.alg !== "HS256") throw new Error("alg");
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    throw new HttpError(401, "Invalid token");
+  }
+
+  if (claims?.typ !== "device" || typeof claims.sub !== "string" || !USER_ID_RE.test(claims.sub)) {
+    throw new HttpError(401, "Invalid token");
+  }
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 <= Date.now()) {
+    throw new HttpError(401, "Token expired");
+  }
+  return claims;
+}
+
+function bearerToken(req) {
+  const m = String(req.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  return m ? m[1].trim() : "";
+}
+
+function legacyUserId(req) {
+  const v = req.body?.userId ?? req.query?.userId;
+  return v ? String(v) : null;
+}
+
+// The caller's user id as resolved by authMiddleware (null = anonymous).
+export function requestUserId(req) {
+  return req.userId ?? null;
+}
+
+function unauthorized(res, message) {
+  res.setHeader("WWW-Authenticate", 'Bearer realm="bytheway"');
+  return res.status(401).json({ version: config.version, error: message });
+}
+
+// Under /api but not behind a device token: registration itself, audio by unguessable id
+// (media players don't send auth headers), and admin-key debug routes.
+const OPEN_PATHS = [/^\/api\/devices\/register$/, /^\/api\/audio\//, /^\/api\/debug\//];
+
+/**
+ * Express middleware for /api routes: sets req.userId (and req.auth = "token" | "legacy" | null).
+ */
+export function authMiddleware(req, res, next) {
+  const path = String(req.originalUrl || "").split("?")[0];
+  if (OPEN_PATHS.some((re) => re.test(path))) return next();
+
+  const token = bearerToken(req);
+
+  if (token && authEnabled()) {
+    try {
+      req.userId = verifyDeviceToken(token).sub;
+      req.auth = "token";
+      return next();
+    } catch (e) {
+      return unauthorized(res, e?.message || "Invalid token");
+    }
+  }
+
+  if (!authEnabled() || config.authAllowLegacy) {
+    req.userId = legacyUserId(req);
+    req.auth = req.userId ? "legacy" : null;
+    return next();
+  }
+
+  return unauthorized(res, "Authentication required");
+}
+
+/**
+ * POST /api/devices/register handler: issues { userId, token, expiresAt }.
+ * Always a fresh dev_ id: a body userId proves nothing about who sends it, so it is never
+ * signed (that would hand out a long-lived token for someone else's profile).
+ */
+export function registerDevice(req, res) {
+  try {
+    if (!authEnabled()) {
+      return res
+        .status(503)
+        .json({ version: config.version, error: "Device auth is not configured (AUTH_SECRET)" });
+    }
+
+    const userId = `dev_${crypto.randomUUID()}`;
+    const { token, expiresAt } = signDeviceToken(userId);
+
+    log.info("device registered:", userId);
+    return res.status(200).json({ version: config.version, userId, token, expiresAt });
+  } catch (err) {
+    log.error("register error:", err?.message || err);
+    const status = err?.status && Number.isFinite(err.status) ? err.status : 500;
+    return res.status(status).json({ version: config.version, error: err?.message || "Server error" });
+  }
+}
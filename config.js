@@ -12,19 +12,67 @@ function envInt(name, fallback) {
   return Number.isFinite(v) ? v : fallback;
 }
 
+function envFloat(name, fallback) {
+  const v = parseFloat(env(name, ""));
+  return Number.isFinite(v) ? v : fallback;
+}
+
 export const config = {
   // server
   port: envInt("PORT", 10000),
   version: env("APP_VERSION", "btw-facts-only-round50-better-tts-v1"),
   corsAllowOrigins: env("CORS_ALLOW_ORIGINS", "*"),
+  // Express "trust proxy" hops; set 1 behind Render/a load balancer so req.ip is the client
+  trustProxy: envInt("TRUST_PROXY", 0),
+
+  // Postgres (empty = no-db mode, in-memory only)
+  databaseUrl: env("DATABASE_URL", ""),
 
   // logs-debug-mode
   debugWikiContext: process.env.DEBUG_WIKI_CONTEXT === "1",  
 
+  // Admin key for debug output (X-Admin-Key); empty = debug disabled
+  adminKey: env("ADMIN_KEY", ""),
+
+  // Device auth (auth.js). Empty AUTH_SECRET = auth off (body userId trusted, as before).
+  // AUTH_ALLOW_LEGACY=1 keeps accepting token-less requests while apps migrate.
+  authSecret: env("AUTH_SECRET", ""),
+  authTokenTtlDays: envInt("AUTH_TOKEN_TTL_DAYS", 365),
+  authAllowLegacy: env("AUTH_ALLOW_LEGACY", "0") === "1",
+
+  // Content safety policy (contentPolicy.js); empty = ./contentPolicy.json
+  contentPolicyFile: env("CONTENT_POLICY_FILE", ""),
+
+  // Grounding check of generated stories against their facts (grounding.js):
+  // regenerate (once, then strip) | strip (drop unsupported sentences) | fallback | off
+  groundingAction: env("GROUNDING_ACTION", "regenerate"),
+
   // OpenAI
   openaiApiKey: env("OPENAI_API_KEY", ""),
   openaiBaseUrl: env("OPENAI_BASE_URL", "https://api.openai.com"),
 
+  // Story LLM (llm.js): any OpenAI-compatible /v1/chat/completions endpoint,
+  // e.g. LLM_BASE_URL=http://localhost:11434 (Ollama) or http://localhost:8080 (llama.cpp server).
+  // The key may be empty for local servers.
+  llmBaseUrl: env("LLM_BASE_URL", env("OPENAI_BASE_URL", "https://api.openai.com")),
+  llmApiKey: env("LLM_API_KEY", env("OPENAI_API_KEY", "")),
+  llmModel: env("LLM_MODEL", env("OPENAI_TEXT_MODEL", "gpt-4o-mini")),
+  // Per-language model; empty = llmModel
+  llmModels: {
+    he: env("LLM_MODEL_HE", ""),
+    en: env("LLM_MODEL_EN", ""),
+    fr: env("LLM_MODEL_FR", ""),
+  },
+  llmTemperature: envFloat("LLM_TEMPERATURE", 0.4),
+  llmTimeoutMs: envInt("LLM_TIMEOUT_MS", 20000),
+  // Whole chat() call, retries and backoff included; attempts get what is left of it
+  llmTotalTimeoutMs: envInt("LLM_TOTAL_TIMEOUT_MS", 30000),
+  // Extra attempts after a timeout, network error, 429 or 5xx
+  llmRetries: envInt("LLM_RETRIES", 2),
+  llmRetryBaseMs: envInt("LLM_RETRY_BASE_MS", 500),
+  // Ask for response_format json_object; turn off for servers that reject it
+  llmJsonMode: env("LLM_JSON_MODE", "1") !== "0",
+
   // Google (Geocoding + Places)
   googleMapsApiKey: env("GOOGLE_MAPS_API_KEY", ""), // optional but recommended
   googlePlacesApiKey: env("GOOGLE_PLACES_API_KEY", ""), // optional, if empty we reuse googleMapsApiKey
@@ -35,12 +83,97 @@ export const config = {
     "https://nominatim.openstreetmap.org"
   ),
   osmUserAgent: env("OSM_USER_AGENT", "bytheway/1.0 (contact: you@example.com)"),
+  overpassBaseUrl: env("OVERPASS_BASE_URL", "https://overpass-api.de"),
+  overpassMaxResults: envInt("OVERPASS_MAX_RESULTS", 60),
 
   // Geo cache (memory cache)
   geoCacheTtlMs: envInt("GEO_CACHE_TTL_MS", 6 * 60 * 60 * 1000), // 6h
   httpTimeoutMs: envInt("HTTP_TIMEOUT_MS", 6500),
 
+  // Outbound HTTP record/replay (httpFixtures.js): off | record | replay
+  httpFixturesMode: env("HTTP_FIXTURES", "off"),
+  httpFixturesDir: env("HTTP_FIXTURES_DIR", ""), // default: ./fixtures/http
+
   // POI behavior
   poiRadiusMeters: envInt("POI_RADIUS_METERS", 650),
   poiMaxCandidates: envInt("POI_MAX_CANDIDATES", 12),
+
+  // Places providers merge mode (see providers below for order):
+  // "fallback" = first provider with results wins, "merge" = combine and de-duplicate.
+  poiProviderMode: env("POI_PROVIDER_MODE", "fallback"),
+
+  // Provider registry (providers.js): comma list per stage, in fallback order.
+  // Leave a provider out to disable it; PROVIDER_OVERRIDES (JSON) for per-language/country order.
+  providers: {
+    geocode: env("PROVIDERS_GEOCODE", "google,osm"),
+    places: env("PROVIDERS_PLACES", env("POI_PROVIDERS", "google,osm")),
+    facts: env("PROVIDERS_FACTS", "linked,wikiNearby,streetPerson"),
+    llm: env("PROVIDERS_LLM", "openai"),
+    tts: env("PROVIDERS_TTS", "openai"),
+  },
+  providerOverrides: env("PROVIDER_OVERRIDES", ""),
+
+  // Travel direction (forward cone). Half-angle narrows as speed grows;
+  // below poiConeSlowMps we do not filter by direction at all.
+  poiConeWideDeg: envInt("POI_CONE_WIDE_DEG", 110),
+  poiConeNarrowDeg: envInt("POI_CONE_NARROW_DEG", 35),
+  poiConeSlowMps: envInt("POI_CONE_SLOW_MPS", 3),
+  poiConeFastMps: envInt("POI_CONE_FAST_MPS", 25),
+  poiAheadBonus: envFloat("POI_AHEAD_BONUS", 0.6),
+
+  // Candidate ranking (ranking.js): weight of each part in a candidate's final score
+  rankWeightScore: envFloat("RANK_WEIGHT_SCORE", 1), // rating + popularity + linked + alignment
+  rankWeightTaste: envFloat("RANK_WEIGHT_TASTE", 1), // topic affinities + style (-1..1)
+  rankWeightDistance: envFloat("RANK_WEIGHT_DISTANCE", 0.3), // 1 at the user, 0 at the radius edge
+  rankWeightNovelty: envFloat("RANK_WEIGHT_NOVELTY", 0.3), // 1 never heard, 1/(1+n) after n stories
+  rankNoveltyDays: envInt("RANK_NOVELTY_DAYS", 30),
+  // Candidates whose main topic the user dislikes this much (affinity <= value) are never picked
+  rankExcludeAffinity: envFloat("RANK_EXCLUDE_AFFINITY", -0.5),
+
+  // Topic affinities in taste profiles fade with this half-life (days without feedback)
+  tasteTopicHalfLifeDays: envFloat("TASTE_TOPIC_HALF_LIFE_DAYS", 30),
+
+  // "Already heard" suppression: skip POIs served to the same user within this window (0 = off).
+  recentlyServedMinutes: envInt("RECENTLY_SERVED_MINUTES", 120),
+
+  // Trips (tripService.js): minimum time between two stories on the same trip (0 = off)
+  tripMinStoryGapSeconds: envInt("TRIP_MIN_STORY_GAP_SECONDS", 60),
+  // Active trips in memory: dropped after this long without a request, and at most this many
+  tripIdleTtlMs: envInt("TRIP_IDLE_TTL_MS", 12 * 60 * 60 * 1000), // 12h
+  tripMemoryMax: envInt("TRIP_MEMORY_MAX", 5000),
+  // Recap (text and audio) of an ended trip, in memory; it cannot change any more
+  recapCacheTtlMs: envInt("RECAP_CACHE_TTL_MS", 6 * 60 * 60 * 1000), // 6h
+
+  // Generated story + audio cache (Postgres when DATABASE_URL is set, else local disk)
+  storyCacheEnabled: env("STORY_CACHE", "1") !== "0",
+  storyCacheTtlMs: envInt("STORY_CACHE_TTL_MS", 24 * 60 * 60 * 1000), // 24h
+  storyCacheDir: env("STORY_CACHE_DIR", ""), // default: <os tmp>/bytheway-story-cache
+
+  // Streamed audio (/api/audio/:id), in memory
+  audioTtlMs: envInt("AUDIO_TTL_MS", 15 * 60 * 1000), // 15min
+  audioStoreMaxBytes: envInt("AUDIO_STORE_MAX_BYTES", 200 * 1024 * 1024),
+  // Longest a reader waits for synthesis to finish (Range) or for the next chunk (streaming)
+  audioWaitTimeoutMs: envInt("AUDIO_WAIT_TIMEOUT_MS", 30000),
+
+  // Route pre-planning (/api/route-plan)
+  routeSampleMeters: envInt("ROUTE_SAMPLE_METERS", 900),
+  routeMaxSamples: envInt("ROUTE_MAX_SAMPLES", 25),
+  routeCorridorMeters: envInt("ROUTE_CORRIDOR_METERS", 400),
+  routeMinSpacingMeters: envInt("ROUTE_MIN_SPACING_METERS", 1200),
+  routeMaxTriggers: envInt("ROUTE_MAX_TRIGGERS", 20),
+  routeTriggerLeadMeters: envInt("ROUTE_TRIGGER_LEAD_METERS", 400),
+  // Places calls one plan may make; sampling stops there (0 = no cap beyond the daily budget)
+  routeMaxPlacesCalls: envInt("ROUTE_MAX_PLACES_CALLS", 100),
+
+  // Rate limits per token userId (else IP), requests per minute per endpoint group (0 = off)
+  rateLimitStoryPerMin: envInt("RATE_LIMIT_STORY_PER_MIN", 10),
+  rateLimitFeedbackPerMin: envInt("RATE_LIMIT_FEEDBACK_PER_MIN", 30),
+  rateLimitTastePerMin: envInt("RATE_LIMIT_TASTE_PER_MIN", 30),
+  rateLimitAuthPerMin: envInt("RATE_LIMIT_AUTH_PER_MIN", 5),
+  rateLimitTripPerMin: envInt("RATE_LIMIT_TRIP_PER_MIN", 10),
+
+  // Daily spend budget per token userId (else IP), UTC day (0 = unlimited)
+  budgetLlmTokensPerDay: envInt("BUDGET_LLM_TOKENS_PER_DAY", 60000),
+  budgetTtsCharsPerDay: envInt("BUDGET_TTS_CHARS_PER_DAY", 60000),
+  budgetPlacesCallsPerDay: envInt("BUDGET_PLACES_CALLS_PER_DAY", 1500),
 };
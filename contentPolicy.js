@@ -0,0 +1,187 @@
+/**
+ * contentPolicy.js (ESM)
+ *
+ * One content-safety policy for facts and stories, loaded from a JSON file
+ * (CONTENT_POLICY_FILE, default ./contentPolicy.json; format documented in its "notes").
+ *
+ * - Per-language term lists, matched as whole words (Unicode-aware), so "war" no longer hits "warm"
+ *   and Hebrew "שר" no longer hits "בשר". Hebrew terms accept attached prefixes (ו ה ב כ ל מ ש).
+ *   Every list is applied to every text: facts often mix languages.
+ * - Per-region rule sets (ISO country code of the listener's location) add to or disable global rules.
+ * - Allow-list phrases are masked out before matching.
+ * - Blocks are recorded in the request context; getPolicyReport() says which rule blocked which text.
+ *
+ * A policy file that is missing or invalid fails startup: silently running without one is worse.
+ */
+
+import fs from "fs";
+import { fileURLToPath } from "url";
+
+import { config } from "./config.js";
+import { makeLogger } from "./utils.js";
+import { getRequestContext } from "./requestContext.js";
+
+const log = makeLogger("contentPolicy");
+
+const MAX_REPORT = 50;
+const NOT_WORD = "(?<![\\p{L}\\p{N}])";
+const NOT_WORD_AFTER = "(?![\\p{L}\\p{N}])";
+const HEBREW_PREFIX = "(?:[והבכלמש]{1,3})?";
+
+function escapeRe(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function compileTerm(term, lang) {
+  let t = String(term || "").trim();
+  if (!t) return null;
+
+  const exact = t.startsWith("=");
+  if (exact) t = t.slice(1);
+  const wildcard = t.endsWith("*");
+  if (wildcard) t = t.slice(0, -1);
+
+  const body = t
+    .trim()
+    .split(/\s+/)
+    .map(escapeRe)
+    .join("\\s+");
+  const prefix = lang === "he" && !exact ? HEBREW_PREFIX : "";
+  const tail = wildcard ? "[\\p{L}\\p{N}]*" : "";
+
+  return { term: String(term), lang, re: new RegExp(`${NOT_WORD}${prefix}${body}${tail}${NOT_WORD_AFTER}`, "iu") };
+}
+
+function compileRule(rule, scope) {
+  const id = String(rule?.id || "").trim();
+  if (!id) throw new Error(`Policy rule without id (${scope})`);
+
+  const matchers = [];
+  for (const [lang, terms] of Object.entries(rule.terms || {})) {
+    for (const term of Array.isArray(terms) ? terms : []) {
+      const m = compileTerm(term, lang);
+      if (m) matchers.push(m);
+    }
+  }
+  for (const p of Array.isArray(rule.patterns) ? rule.patterns : []) {
+    matchers.push({ term: `/${p}/`, lang: "*", re: new RegExp(p, "iu") });
+  }
+
+  return { id, scope, matchers };
+}
+
+function compileAllow(allow) {
+  const out = [];
+  for (const phrases of Object.values(allow || {})) {
+    for (const phrase of Array.isArray(phrases) ? phrases : []) {
+      const body = String(phrase).trim().split(/\s+/).filter(Boolean).map(escapeRe).join("\\s+");
+      if (body) out.push(new RegExp(body, "giu"));
+    }
+  }
+  return out;
+}
+
+function policyFile() {
+  return config.contentPolicyFile || fileURLToPath(new URL("./contentPolicy.json", import.meta.url));
+}
+
+/**
+ * "regions" maps an ISO country code to { rules, disable }:
+ *   "IL": { "rules": [{ "id": "il_x", "terms": { "he": [...] }, "patterns": [...] }], "disable": ["politics"] }
+ * rules (same shape as global rules) are checked on top of the global ones; disable lists global
+ * rule ids that do not apply there. Both may be empty; unknown codes get the global rules only.
+ */
+function loadPolicy() {
+  const file = policyFile();
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+
+  const global = (raw.rules || []).map((r) => compileRule(r, "global"));
+  const regions = new Map();
+  for (const [code, def] of Object.entries(raw.regions || {})) {
+    const c = code.toUpperCase();
+    regions.set(c, {
+      rules: (def?.rules || []).map((r) => compileRule(r, `region:${c}`)),
+      disable: new Set((def?.disable || []).map(String)),
+    });
+  }
+
+  const policy = { file, version: raw.version ?? null, global, regions, allow: compileAllow(raw.allow) };
+  log.info(
+    `loaded ${file} (v${policy.version}): ${global.length} global rules, ${regions.size} regions`
+  );
+  return policy;
+}
+
+const policy = loadPolicy();
+
+function rulesFor(region) {
+  const r = region ? policy.regions.get(String(region).toUpperCase()) : null;
+  if (!r) return policy.global;
+  return [...policy.global.filter((g) => !r.disable.has(g.id)), ...r.rules];
+}
+
+function maskAllowed(text) {
+  let t = text;
+  for (const re of policy.allow) t = t.replace(re, (m) => " ".repeat(m.length));
+  return t;
+}
+
+/**
+ * Check a text against the policy.
+ * @returns {{ blocked: boolean, matches: Array<{ruleId:string, scope:string, lang:string, term:string, match:string}> }}
+ */
+export function checkText(text, { region = "", all = false } = {}) {
+  const t = maskAllowed(String(text || ""));
+  const matches = [];
+  if (!t.trim()) return { blocked: false, matches };
+
+  for (const rule of rulesFor(region)) {
+    for (const m of rule.matchers) {
+      const hit = t.match(m.re);
+      if (!hit) continue;
+      matches.push({ ruleId: rule.id, scope: rule.scope, lang: m.lang, term: m.term, match: hit[0] });
+      if (!all) return { blocked: true, matches };
+      break; // one match per rule is enough for the report
+    }
+  }
+  return { blocked: matches.length > 0, matches };
+}
+
+function record(text, stage, match) {
+  const ctx = getRequestContext();
+  if (!ctx) return;
+  if (!ctx.policyReport) ctx.policyReport = [];
+  if (ctx.policyReport.length >= MAX_REPORT) return;
+  ctx.policyReport.push({ stage, text: String(text).slice(0, 160), ...match });
+}
+
+/**
+ * True when the text is blocked; the block is added to the request's policy report.
+ * stage says where it was checked (e.g. "wiki", "story_facts", "story_output").
+ */
+export function isBlocked(text, { region = "", stage = "" } = {}) {
+  const r = checkText(text, { region });
+  if (r.blocked) record(text, stage, r.matches[0]);
+  return r.blocked;
+}
+
+// Trimmed text, or "" when the policy blocks it.
+export function policyLine(text, opts = {}) {
+  const t = String(text || "").trim();
+  if (!t) return "";
+  return isBlocked(t, opts) ? "" : t;
+}
+
+// What was blocked so far in this request, and by which rule.
+export function getPolicyReport() {
+  return [...(getRequestContext()?.policyReport || [])];
+}
+
+export function policyInfo() {
+  return {
+    file: policy.file,
+    version: policy.version,
+    globalRules: policy.global.map((r) => r.id),
+    regions: Array.from(policy.regions.keys()),
+  };
+}
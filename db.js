@@ -54,6 +54,15 @@ export async function initDb() {
     );
   `);
 
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS taste_bindings (
+      user_id TEXT PRIMARY KEY,
+      taste_profile_id TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      updated_at TIMESTAMPTZ NOT NULL
+    );
+  `);
+
   await p.query(`
     CREATE TABLE IF NOT EXISTS story_logs (
       id TEXT PRIMARY KEY,
@@ -72,10 +81,96 @@ export async function initDb() {
     );
   `);
 
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS feedback (
+      id TEXT PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL,
+      user_id TEXT,
+      taste_profile_id TEXT,
+      poi_key TEXT,
+      story_hash TEXT,
+      liked BOOLEAN,
+      rating INTEGER,
+      tags JSONB,
+      note TEXT,
+      data JSONB
+    );
+  `);
+
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS feedback_user_idx
+    ON feedback(user_id, created_at DESC);
+  `);
+
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS feedback_taste_profile_idx
+    ON feedback(taste_profile_id, created_at DESC);
+  `);
+
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS story_cache (
+      key TEXT PRIMARY KEY,
+      created_at TIMESTAMPTZ NOT NULL,
+      expires_at TIMESTAMPTZ NOT NULL,
+      poi_key TEXT,
+      lang TEXT,
+      taste_bucket TEXT,
+      prompt_version TEXT,
+      story_text TEXT NOT NULL,
+      facts JSONB,
+      audio BYTEA,
+      audio_content_type TEXT
+    );
+  `);
+
   await p.query(`
     CREATE INDEX IF NOT EXISTS story_logs_user_poi_idx
     ON story_logs(user_id, poi_key, created_at DESC);
   `);
+
+  // Added after the first deploy; ADD COLUMN IF NOT EXISTS keeps existing databases in step.
+  await p.query(`
+    ALTER TABLE story_logs
+      ADD COLUMN IF NOT EXISTS request_id TEXT,
+      ADD COLUMN IF NOT EXISTS timings JSONB,
+      ADD COLUMN IF NOT EXISTS grounding JSONB,
+      ADD COLUMN IF NOT EXISTS contract JSONB,
+      ADD COLUMN IF NOT EXISTS topics JSONB;
+  `);
+  await p.query(`ALTER TABLE story_cache ADD COLUMN IF NOT EXISTS story JSONB;`);
+  await p.query(`ALTER TABLE story_logs ADD COLUMN IF NOT EXISTS trip_id TEXT;`);
+
+  // Trips (tripService.js): one row per drive, and its positions and served/skipped POIs in order.
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS trips (
+      id TEXT PRIMARY KEY,
+      user_id TEXT,
+      taste_profile_id TEXT,
+      lang TEXT,
+      started_at TIMESTAMPTZ NOT NULL,
+      ended_at TIMESTAMPTZ
+    );
+  `);
+
+  await p.query(`
+    CREATE TABLE IF NOT EXISTS trip_events (
+      id TEXT PRIMARY KEY,
+      trip_id TEXT NOT NULL,
+      created_at TIMESTAMPTZ NOT NULL,
+      kind TEXT NOT NULL,
+      lat DOUBLE PRECISION,
+      lng DOUBLE PRECISION,
+      poi_key TEXT,
+      poi_name TEXT,
+      reason TEXT,
+      data JSONB
+    );
+  `);
+
+  await p.query(`
+    CREATE INDEX IF NOT EXISTS trip_events_trip_idx
+    ON trip_events(trip_id, created_at);
+  `);
 }
 
 export async function getTasteProfile(id) {
@@ -99,6 +194,40 @@ export async function upsertTasteProfile(id, data) {
   );
 }
 
+export async function getTasteBinding(userId) {
+  const p = getPool();
+  if (!p) return null;
+  const res = await p.query(
+    "SELECT taste_profile_id FROM taste_bindings WHERE user_id = $1",
+    [userId]
+  );
+  return res.rows[0]?.taste_profile_id ?? null;
+}
+
+export async function getTasteProfileUserIds(tasteProfileId) {
+  const p = getPool();
+  if (!p) return [];
+  const res = await p.query(
+    "SELECT user_id FROM taste_bindings WHERE taste_profile_id = $1",
+    [tasteProfileId]
+  );
+  return res.rows.map((r) => r.user_id);
+}
+
+export async function upsertTasteBinding(userId, tasteProfileId) {
+  const p = getPool();
+  if (!p) return;
+  const ts = nowIso();
+  await p.query(
+    `
+    INSERT INTO taste_bindings (user_id, taste_profile_id, created_at, updated_at)
+    VALUES ($1, $2, $3, $3)
+    ON CONFLICT (user_id) DO UPDATE SET taste_profile_id = $2, updated_at = $3
+    `,
+    [userId, tasteProfileId, ts]
+  );
+}
+
 export async function logStory({
   userId,
   lat,
@@ -111,6 +240,12 @@ export async function logStory({
   reason,
   tasteProfileId,
   storyLen,
+  requestId,
+  timings,
+  grounding,
+  contract,
+  topics,
+  tripId,
 }) {
   const p = getPool();
   if (!p) return;
@@ -130,9 +265,9 @@ export async function logStory({
       id, created_at, user_id, lat, lng,
       poi_key, poi_name, poi_source,
       distance_meters, should_speak, reason,
-      taste_profile_id, story_len
+      taste_profile_id, story_len, request_id, timings, grounding, contract, topics, trip_id
     )
-    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
     `,
     [
       id,
@@ -148,10 +283,89 @@ export async function logStory({
       reason ?? null,
       tasteProfileId ?? null,
       storyLen ?? null,
+      requestId ?? null,
+      timings ? JSON.stringify(timings) : null,
+      grounding ? JSON.stringify(grounding) : null,
+      contract ? JSON.stringify(contract) : null,
+      topics ? JSON.stringify(topics) : null,
+      tripId ?? null,
+    ]
+  );
+}
+
+export async function insertFeedback({
+  userId,
+  tasteProfileId,
+  poiKey,
+  storyHash,
+  liked,
+  rating,
+  tags,
+  note,
+  data,
+}) {
+  const p = getPool();
+  if (!p) return;
+
+  const id = sha1([
+    nowIso(),
+    userId ?? "",
+    tasteProfileId ?? "",
+    poiKey ?? "",
+    String(Math.random()),
+  ].join("|"));
+
+  await p.query(
+    `
+    INSERT INTO feedback (
+      id, created_at, user_id, taste_profile_id, poi_key,
+      story_hash, liked, rating, tags, note, data
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    `,
+    [
+      id,
+      nowIso(),
+      userId ?? null,
+      tasteProfileId ?? null,
+      poiKey ?? null,
+      storyHash ?? null,
+      liked ?? null,
+      rating ?? null,
+      tags ? JSON.stringify(tags) : null,
+      note ?? null,
+      data ? JSON.stringify(data) : null,
     ]
   );
 }
 
+export async function getRecentFeedback({ userId, tasteProfileId, limit = 50 }) {
+  const p = getPool();
+  if (!p || (!userId && !tasteProfileId)) return [];
+
+  const res = await p.query(
+    `
+    SELECT created_at, poi_key, story_hash, liked, rating, tags, note
+    FROM feedback
+    WHERE ($1::TEXT IS NOT NULL AND user_id = $1)
+       OR ($2::TEXT IS NOT NULL AND taste_profile_id = $2)
+    ORDER BY created_at DESC
+    LIMIT $3
+    `,
+    [userId ?? null, tasteProfileId ?? null, Math.max(1, Math.min(200, Math.round(limit) || 50))]
+  );
+
+  return res.rows.map((r) => ({
+    createdAt: new Date(r.created_at).toISOString(),
+    poiKey: r.poi_key,
+    storyHash: r.story_hash,
+    liked: r.liked,
+    rating: r.rating,
+    tags: Array.isArray(r.tags) ? r.tags : [],
+    note: r.note,
+  }));
+}
+
 export async function wasPoiRecentlyServed({ userId, poiKey, withinMinutes = 120 }) {
   const p = getPool();
   if (!p || !userId || !poiKey) return false;
@@ -168,3 +382,228 @@ export async function wasPoiRecentlyServed({ userId, poiKey, withinMinutes = 120
   );
   return res.rowCount > 0;
 }
+
+// How many stories each POI got for this user in the last withinDays: { poiKey: count }.
+export async function getServedPoiCounts({ userId, poiKeys, withinDays = 30 }) {
+  const p = getPool();
+  if (!p || !userId || !poiKeys?.length) return {};
+
+  const res = await p.query(
+    `
+    SELECT poi_key, COUNT(*)::INT AS n
+    FROM story_logs
+    WHERE user_id = $1 AND poi_key = ANY($2) AND should_speak = true
+      AND created_at > (NOW() - ($3 || ' days')::INTERVAL)
+    GROUP BY poi_key
+    `,
+    [userId, poiKeys, String(withinDays)]
+  );
+  return Object.fromEntries(res.rows.map((r) => [r.poi_key, r.n]));
+}
+
+// Topics of the latest story served to this user for a POI (for feedback), or null.
+export async function getServedPoiTopics({ userId, poiKey }) {
+  const p = getPool();
+  if (!p || !userId || !poiKey) return null;
+
+  const res = await p.query(
+    `
+    SELECT topics
+    FROM story_logs
+    WHERE user_id = $1 AND poi_key = $2 AND should_speak = true AND topics IS NOT NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+    `,
+    [userId, poiKey]
+  );
+  return res.rows[0]?.topics ?? null;
+}
+
+// Stories served to a user between two times, oldest first (recaps without a trip).
+export async function getServedStoryLogs({ userId, from, to, limit = 50 }) {
+  const p = getPool();
+  if (!p || !userId) return [];
+
+  const res = await p.query(
+    `
+    SELECT created_at, poi_key, poi_name, poi_source
+    FROM story_logs
+    WHERE user_id = $1 AND should_speak = true AND poi_key IS NOT NULL
+      AND created_at >= $2 AND created_at <= $3
+    ORDER BY created_at ASC
+    LIMIT $4
+    `,
+    [userId, from, to, Math.max(1, Math.min(200, Math.round(limit) || 50))]
+  );
+  return res.rows.map((r) => ({
+    createdAt: new Date(r.created_at).toISOString(),
+    poiKey: r.poi_key,
+    poiName: r.poi_name,
+    poiSource: r.poi_source,
+  }));
+}
+
+export async function insertTrip({ id, userId, tasteProfileId, lang, startedAt }) {
+  const p = getPool();
+  if (!p) return;
+
+  await p.query(
+    `
+    INSERT INTO trips (id, user_id, taste_profile_id, lang, started_at)
+    VALUES ($1,$2,$3,$4,$5)
+    `,
+    [id, userId ?? null, tasteProfileId ?? null, lang ?? null, startedAt]
+  );
+}
+
+export async function getTrip(id) {
+  const p = getPool();
+  if (!p) return null;
+
+  const res = await p.query(
+    `SELECT id, user_id, taste_profile_id, lang, started_at, ended_at FROM trips WHERE id = $1`,
+    [id]
+  );
+  const r = res.rows[0];
+  if (!r) return null;
+  return {
+    id: r.id,
+    userId: r.user_id,
+    tasteProfileId: r.taste_profile_id,
+    lang: r.lang,
+    startedAt: new Date(r.started_at).toISOString(),
+    endedAt: r.ended_at ? new Date(r.ended_at).toISOString() : null,
+  };
+}
+
+export async function endTripRow(id, endedAt) {
+  const p = getPool();
+  if (!p) return;
+  await p.query(`UPDATE trips SET ended_at = $2 WHERE id = $1 AND ended_at IS NULL`, [id, endedAt]);
+}
+
+export async function insertTripEvent({ tripId, createdAt, kind, lat, lng, poiKey, poiName, reason, data }) {
+  const p = getPool();
+  if (!p) return;
+
+  const id = sha1([createdAt, tripId, kind, poiKey ?? "", String(Math.random())].join("|"));
+
+  await p.query(
+    `
+    INSERT INTO trip_events (id, trip_id, created_at, kind, lat, lng, poi_key, poi_name, reason, data)
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    `,
+    [
+      id,
+      tripId,
+      createdAt,
+      kind,
+      lat ?? null,
+      lng ?? null,
+      poiKey ?? null,
+      poiName ?? null,
+      reason ?? null,
+      data ? JSON.stringify(data) : null,
+    ]
+  );
+}
+
+// Events of a trip, oldest first.
+export async function getTripEvents(tripId) {
+  const p = getPool();
+  if (!p) return [];
+
+  const res = await p.query(
+    `
+    SELECT created_at, kind, lat, lng, poi_key, poi_name, reason, data
+    FROM trip_events
+    WHERE trip_id = $1
+    ORDER BY created_at ASC
+    `,
+    [tripId]
+  );
+  return res.rows.map((r) => ({
+    createdAt: new Date(r.created_at).toISOString(),
+    kind: r.kind,
+    lat: r.lat,
+    lng: r.lng,
+    poiKey: r.poi_key,
+    poiName: r.poi_name,
+    reason: r.reason,
+    data: r.data ?? null,
+  }));
+}
+
+export async function getStoryCacheEntry(key) {
+  const p = getPool();
+  if (!p) return null;
+  const res = await p.query(
+    `
+    SELECT created_at, expires_at, story_text, facts, story, audio, audio_content_type
+    FROM story_cache
+    WHERE key = $1 AND expires_at > NOW()
+    `,
+    [key]
+  );
+  const row = res.rows[0];
+  if (!row) return null;
+  return {
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: new Date(row.expires_at).toISOString(),
+    storyText: row.story_text,
+    facts: Array.isArray(row.facts) ? row.facts : [],
+    story: row.story ?? null,
+    audio: row.audio ?? null,
+    audioContentType: row.audio_content_type ?? null,
+  };
+}
+
+export async function upsertStoryCacheEntry({
+  key,
+  expiresAt,
+  poiKey,
+  lang,
+  tasteBucket,
+  promptVersion,
+  storyText,
+  facts,
+  story,
+  audio,
+  audioContentType,
+}) {
+  const p = getPool();
+  if (!p) return;
+  await p.query(
+    `
+    INSERT INTO story_cache (
+      key, created_at, expires_at, poi_key, lang, taste_bucket, prompt_version,
+      story_text, facts, audio, audio_content_type, story
+    )
+    VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    ON CONFLICT (key) DO UPDATE SET
+      created_at = $2, expires_at = $3, story_text = $8, facts = $9,
+      audio = $10, audio_content_type = $11, story = $12
+    `,
+    [
+      key,
+      nowIso(),
+      expiresAt,
+      poiKey ?? null,
+      lang ?? null,
+      tasteBucket ?? null,
+      promptVersion ?? null,
+      storyText,
+      JSON.stringify(facts ?? []),
+      audio ?? null,
+      audioContentType ?? null,
+      story ? JSON.stringify(story) : null,
+    ]
+  );
+}
+
+export async function deleteExpiredStoryCache() {
+  const p = getPool();
+  if (!p) return 0;
+  const res = await p.query("DELETE FROM story_cache WHERE expires_at <= NOW()");
+  return res.rowCount;
+}
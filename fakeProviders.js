@@ -0,0 +1,110 @@
+/**
+ * fakeProviders.js (ESM)
+ *
+ * Deterministic, offline "fake" providers for every stage, for local runs and testing.
+ * Registered on import; server.js imports this module only when config selects "fake", e.g.
+ *   PROVIDERS_GEOCODE=fake PROVIDERS_PLACES=fake PROVIDERS_FACTS=fake PROVIDERS_LLM=fake PROVIDERS_TTS=fake
+ */
+
+import { registerProvider } from "./providers.js";
+import { sleep } from "./utils.js";
+import { mockChat } from "./llm.js";
+
+// Offset a coordinate by meters north/east (flat-earth approximation, fine for a few hundred meters).
+function offset(lat, lng, northM, eastM) {
+  return {
+    lat: lat + northM / 110540,
+    lng: lng + eastM / (111320 * Math.cos((lat * Math.PI) / 180)),
+  };
+}
+
+registerProvider("geocode", "fake", {
+  async reverseGeocode() {
+    return {
+      provider: "fake",
+      street: "Herzl 10",
+      neighborhood: "Center",
+      city: "Testville",
+      country: "Testland",
+      countryCode: "TS",
+      areaLabel: "Herzl 10, Testville, Testland",
+    };
+  },
+});
+
+registerProvider("places", "fake", {
+  async nearby({ lat, lng }) {
+    return [
+      {
+        provider: "fake",
+        placeId: "museum",
+        name: "Fixture Museum of Maps",
+        types: ["museum", "tourist_attraction"],
+        rating: 4.6,
+        userRatingsTotal: 1200,
+        vicinity: "Herzl 12",
+        location: offset(lat, lng, 200, 0),
+      },
+      {
+        provider: "fake",
+        placeId: "garden",
+        name: "Fixture Botanical Garden",
+        types: ["park"],
+        rating: 4.3,
+        userRatingsTotal: 300,
+        vicinity: "Weizmann 3",
+        location: offset(lat, lng, 0, 300),
+      },
+    ];
+  },
+});
+
+registerProvider("facts", "fake", {
+  async collect({ poi }) {
+    const name = poi?.primaryName || poi?.label || "This place";
+    const facts = [
+      `${name} opened in 1931 as a small collection.`,
+      `${name} keeps a hand-drawn map of the old town near the entrance.`,
+      `${name} was named after the surveyors who mapped the area.`,
+    ];
+    const source = { provider: "fake", url: "https://example.com/fixture-facts" };
+    return { facts, sources: Object.fromEntries(facts.map((f) => [f, source])) };
+  },
+});
+
+// Same as the built-in deterministic "mock" LLM (llm.js).
+registerProvider("llm", "fake", { chat: mockChat });
+
+// One silent MPEG-1 Layer III frame (128 kbps, 44.1 kHz, 417 bytes).
+const SILENT_FRAME = (() => {
+  const b = Buffer.alloc(417);
+  b[0] = 0xff;
+  b[1] = 0xfb;
+  b[2] = 0x90;
+  b[3] = 0x00;
+  return b;
+})();
+
+// Roughly proportional to text length so duration-based client logic still behaves.
+function silentMp3(text) {
+  const frames = Math.max(10, Math.min(2000, String(text || "").length));
+  return Buffer.concat(Array.from({ length: frames }, () => SILENT_FRAME));
+}
+
+registerProvider("tts", "fake", {
+  async synthesize(text) {
+    return silentMp3(text);
+  },
+
+  // Four chunks with a short pause between them, to exercise streaming delivery.
+  async stream(text) {
+    const buf = silentMp3(text);
+    const size = Math.ceil(buf.length / 4);
+    return (async function* chunks() {
+      for (let i = 0; i < buf.length; i += size) {
+        if (i > 0) await sleep(50);
+        yield buf.subarray(i, i + size);
+      }
+    })();
+  },
+});
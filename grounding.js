@@ -0,0 +1,128 @@
+/**
+ * grounding.js (ESM)
+ *
+ * Post-generation check that a story only states what the supplied facts support.
+ * Extracts numbers, years and proper names from the story and looks each one up in the
+ * evidence (facts, place/anchor names, position label, contextual note).
+ *
+ * Heuristic on purpose: small counting numbers (<= 12) are always allowed, and names are only
+ * extracted from capitalized words, so Hebrew stories are checked for numbers and years only.
+ *
+ * The verdict for the current request is kept in the request context (story_logs.grounding).
+ */
+
+import { getRequestContext } from "./requestContext.js";
+import { splitSentences } from "./storyContract.js";
+
+const SMALL_NUMBER_MAX = 12;
+
+// Capitalized words that start sentences or address the listener; never names on their own.
+const NAME_STOPWORDS = new Set(
+  [
+    "the", "a", "an", "this", "that", "these", "those", "it", "its", "here", "there", "then",
+    "look", "take", "walk", "head", "stop", "try", "see", "find", "you", "your", "we", "our",
+    "i", "and", "but", "or", "so", "if", "when", "while", "just", "right", "left", "ahead",
+    "le", "la", "les", "l", "un", "une", "ce", "cet", "cette", "ces", "il", "elle", "ils",
+    "ici", "regardez", "prenez", "allez", "on", "nous", "vous", "et", "mais", "ou", "si",
+    "à", "au", "aux", "de", "du", "des", "d", "en", "dans", "sur", "pour", "par",
+  ]
+);
+
+const NAME_CONNECTORS = "of|the|and|de|du|des|la|le|les|d['’]|l['’]";
+
+function normalizeNumber(raw) {
+  let s = String(raw);
+  if (/^\d{1,3}(,\d{3})+$/.test(s)) s = s.replace(/,/g, ""); // 1,200
+  else if (/^\d+,\d{1,2}$/.test(s)) s = s.replace(",", "."); // 4,6 (fr decimal)
+  if (/^\d{1,3}(\.\d{3})+$/.test(s)) s = s.replace(/\./g, ""); // 1.200 (fr/he thousands)
+  const n = Number(s);
+  return Number.isFinite(n) ? String(n) : s;
+}
+
+function numbersIn(text) {
+  return (String(text || "").match(/\d+(?:[.,]\d+)*/g) || []).map(normalizeNumber);
+}
+
+function isYear(n) {
+  const v = Number(n);
+  return Number.isInteger(v) && v >= 1000 && v <= 2100;
+}
+
+function namesIn(sentence) {
+  const re = new RegExp(
+    `\\p{Lu}[\\p{L}'’-]*(?:\\s+(?:(?:${NAME_CONNECTORS})\\s*)?\\p{Lu}[\\p{L}'’-]*)*`,
+    "gu"
+  );
+  const out = [];
+  for (const m of sentence.matchAll(re)) {
+    let tokens = m[0].split(/\s+/);
+    // Sentence-initial capital is grammar, not a name: drop a leading stopword or a lone first word.
+    if (m.index === 0) {
+      if (tokens.length === 1) continue;
+      if (NAME_STOPWORDS.has(tokens[0].toLowerCase())) tokens = tokens.slice(1);
+    }
+    const significant = tokens.filter(
+      (t) => t.length >= 3 && !NAME_STOPWORDS.has(t.toLowerCase()) && /^\p{Lu}/u.test(t)
+    );
+    if (significant.length) out.push({ value: tokens.join(" "), tokens: significant });
+  }
+  return out;
+}
+
+/**
+ * Everything a story may state: facts plus the names and labels the prompt supplied.
+ */
+export function groundingEvidence({ poi, facts = [], note = "" }) {
+  const parts = [
+    ...facts,
+    poi?.label,
+    poi?.primaryName,
+    poi?.anchor?.areaLabel,
+    poi?.anchor?.street,
+    poi?.anchor?.city,
+    poi?.anchor?.country,
+    poi?.relativePosition?.label,
+    note,
+  ];
+  const text = parts.filter(Boolean).join("\n");
+  return {
+    text: text.toLowerCase(),
+    numbers: new Set(numbersIn(text)),
+  };
+}
+
+/**
+ * @returns {{ ok: boolean, unsupported: Array<{type:"number"|"year"|"name", value:string, sentence:string}>, checked: {numbers:number, names:number} }}
+ */
+export function checkGrounding(story, evidence) {
+  const unsupported = [];
+  let numbers = 0;
+  let names = 0;
+
+  for (const sentence of splitSentences(story)) {
+    for (const n of numbersIn(sentence)) {
+      numbers += 1;
+      const small = Number.isInteger(Number(n)) && Number(n) <= SMALL_NUMBER_MAX;
+      if (small || evidence.numbers.has(n)) continue;
+      unsupported.push({ type: isYear(n) ? "year" : "number", value: n, sentence });
+    }
+
+    for (const name of namesIn(sentence)) {
+      names += 1;
+      if (name.tokens.every((t) => evidence.text.includes(t.toLowerCase()))) continue;
+      unsupported.push({ type: "name", value: name.value, sentence });
+    }
+  }
+
+  return { ok: unsupported.length === 0, unsupported, checked: { numbers, names } };
+}
+
+export function recordGroundingVerdict(verdict) {
+  const ctx = getRequestContext();
+  if (ctx) ctx.grounding = verdict;
+}
+
+// Verdict of the story generated in this request (null on a cache hit or without generation).
+export function getGroundingVerdict() {
+  return getRequestContext()?.grounding ?? null;
+}
@@ -0,0 +1,144 @@
+/**
+ * httpFixtures.js (ESM)
+ *
+ * Record / replay of outbound HTTP, for re-running the pipeline offline (regression runs of
+ * fact selection and labeling against a captured drive). Every upstream call goes through
+ * fixtureFetch(): fetchJson/fetchText (Google, Nominatim, Overpass, Wikidata, Wikipedia),
+ * LLM chat (llm.js) and TTS (tts.js).
+ *
+ * HTTP_FIXTURES=off     plain fetch (default)
+ * HTTP_FIXTURES=record  real requests; each response is also written to HTTP_FIXTURES_DIR
+ * HTTP_FIXTURES=replay  no network; responses come from HTTP_FIXTURES_DIR, and a request
+ *                       without a fixture is logged as an error and throws
+ *
+ * One file per request: <dir>/<host>/<sha1 of method + url + body>.json. API keys in the
+ * query string are dropped before hashing and saving, so fixtures hold no secrets and replay
+ * does not need the keys. Headers are not part of the key. Recording reads each response in
+ * full before handing it on, so streamed TTS arrives in one piece while recording.
+ */
+
+import path from "path";
+import fs from "fs/promises";
+import crypto from "crypto";
+
+import { config } from "./config.js";
+import { HttpError, makeLogger } from "./utils.js";
+
+const log = makeLogger("httpFixtures");
+
+const MODES = new Set(["off", "record", "replay"]);
+const SECRET_PARAMS = new Set(["key", "api_key", "apikey", "access_token", "token"]);
+const TEXT_TYPE_RE = /json|text|xml|javascript/i;
+
+export function fixturesMode() {
+  const m = String(config.httpFixturesMode || "off").toLowerCase();
+  return MODES.has(m) ? m : "off";
+}
+
+function fixturesDir() {
+  return path.resolve(config.httpFixturesDir || "fixtures/http");
+}
+
+// URL without secrets (query parameters in SECRET_PARAMS).
+export function redactUrl(url) {
+  try {
+    const u = new URL(url);
+    for (const name of [...u.searchParams.keys()]) {
+      if (SECRET_PARAMS.has(name.toLowerCase())) u.searchParams.delete(name);
+    }
+    return u.toString();
+  } catch {
+    return String(url);
+  }
+}
+
+function fixtureFile(method, url, body) {
+  const safeUrl = redactUrl(url);
+  const hash = crypto.createHash("sha1").update(`${method}\n${safeUrl}\n${body}`).digest("hex");
+  let host = "invalid";
+  try {
+    host = new URL(safeUrl).host.replace(/[^a-z0-9.-]/gi, "_");
+  } catch {
+    // keep "invalid"
+  }
+  return { file: path.join(fixturesDir(), host, `${hash}.json`), safeUrl };
+}
+
+function requestParts(url, init = {}) {
+  const method = String(init.method || "GET").toUpperCase();
+  const body = typeof init.body === "string" ? init.body : init.body ? String(init.body) : "";
+  return { method, body, ...fixtureFile(method, url, body) };
+}
+
+function storedBody(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+async function record(url, init, req) {
+  const res = await fetch(url, init);
+  const buf = Buffer.from(await res.arrayBuffer());
+  const contentType = res.headers.get("content-type") || "";
+  const isText = TEXT_TYPE_RE.test(contentType) || !contentType;
+
+  const headers = {};
+  for (const name of ["content-type", "retry-after"]) {
+    const v = res.headers.get(name);
+    if (v != null) headers[name] = v;
+  }
+
+  const fixture = {
+    request: { method: req.method, url: req.safeUrl, ...(req.body ? { body: storedBody(req.body) } : {}) },
+    response: {
+      status: res.status,
+      headers,
+      ...(isText ? { body: buf.toString("utf8") } : { bodyBase64: buf.toString("base64") }),
+    },
+    recordedAt: new Date().toISOString(),
+  };
+
+  try {
+    await fs.mkdir(path.dirname(req.file), { recursive: true });
+    await fs.writeFile(req.file, JSON.stringify(fixture, null, 2));
+  } catch (e) {
+    log.warn("could not write fixture:", e?.message || e);
+  }
+
+  return new Response(buf, { status: res.status, headers });
+}
+
+async function replay(req) {
+  let fixture;
+  try {
+    fixture = JSON.parse(await fs.readFile(req.file, "utf8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") throw e;
+    log.error(`no fixture for ${req.method} ${req.safeUrl} (expected ${req.file})`);
+    const err = new HttpError(500, "Unrecorded HTTP request in replay mode", {
+      method: req.method,
+      url: req.safeUrl,
+      file: req.file,
+    });
+    err.retryable = false; // retrying cannot find it either
+    throw err;
+  }
+
+  const r = fixture.response || {};
+  const buf = r.bodyBase64 != null ? Buffer.from(r.bodyBase64, "base64") : Buffer.from(String(r.body ?? ""), "utf8");
+  return new Response(buf, { status: r.status || 200, headers: r.headers || {} });
+}
+
+/**
+ * fetch() honoring HTTP_FIXTURES. Same arguments and result as fetch().
+ */
+export async function fixtureFetch(url, init = {}) {
+  const mode = fixturesMode();
+  if (mode === "off") return fetch(url, init);
+
+  const req = requestParts(url, init);
+  if (mode === "replay") return replay(req);
+  return record(url, init, req);
+}
@@ -0,0 +1,181 @@
+/**
+ * llm.js (ESM) - chat completions for story generation
+ *
+ * Built-in "llm" providers (PROVIDERS_LLM order, see providers.js):
+ * - openai: any OpenAI-compatible /v1/chat/completions endpoint (OpenAI, or a local
+ *   llama.cpp / Ollama server via LLM_BASE_URL). Model per language (LLM_MODEL_<LANG>),
+ *   request timeout (LLM_TIMEOUT_MS) and retries on timeouts, network errors, 429 and 5xx,
+ *   all within one deadline per call (LLM_TOTAL_TIMEOUT_MS).
+ * - mock: deterministic, offline; builds the story from the numbered facts in the prompt,
+ *   following the sentence range the prompt asks for. PROVIDERS_LLM=mock runs without network.
+ */
+
+import { config } from "./config.js";
+import { HttpError, makeLogger, normalizeWhitespace, safeTrim, sleep } from "./utils.js";
+import { registerProvider, firstProviderResult } from "./providers.js";
+import { requestIdHeaders, timeStage } from "./requestContext.js";
+import { openaiDuration, startTimer } from "./metrics.js";
+import { chargeBudget } from "./rateLimit.js";
+import { fixtureFetch } from "./httpFixtures.js";
+
+const log = makeLogger("llm");
+
+// Model for a language: LLM_MODEL_<LANG>, else LLM_MODEL.
+export function llmModel(lang) {
+  const l = String(lang || "").toLowerCase().slice(0, 2);
+  return config.llmModels?.[l] || config.llmModel;
+}
+
+// Accept the base URL with or without a trailing /v1 (local servers are often documented with it).
+function completionsUrl() {
+  const base = String(config.llmBaseUrl || "").replace(/\/+$/, "").replace(/\/v1$/, "");
+  return `${base}/v1/chat/completions`;
+}
+
+function isOpenAiHost(url) {
+  return /(^|\/\/)api\.openai\.com(\/|$)/.test(String(url || ""));
+}
+
+function retryAfterMs(res) {
+  const s = Number(res.headers.get("retry-after"));
+  return Number.isFinite(s) && s > 0 ? Math.min(s * 1000, 10000) : null;
+}
+
+// One request with a timeout. Errors are HttpErrors with a status, except network errors.
+async function completionOnce(payload, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const elapsed = startTimer();
+  let outcome = "network_error";
+
+  try {
+    const res = await fixtureFetch(completionsUrl(), {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(config.llmApiKey ? { Authorization: `Bearer ${config.llmApiKey}` } : {}),
+        ...requestIdHeaders(),
+      },
+      body: JSON.stringify(payload),
+      signal: controller.signal,
+    });
+
+    if (!res.ok) {
+      outcome = "http_error";
+      const t = await res.text().catch(() => "");
+      const err = new HttpError(res.status, "LLM story generation failed", safeTrim(t, 900));
+      err.retryAfterMs = retryAfterMs(res);
+      throw err;
+    }
+
+    const json = await res.json();
+    outcome = "ok";
+    return json;
+  } catch (e) {
+    if (controller.signal.aborted) {
+      outcome = "timeout";
+      throw new HttpError(504, `LLM request timed out after ${timeoutMs} ms`);
+    }
+    throw e;
+  } finally {
+    clearTimeout(timer);
+    openaiDuration.observe({ op: "chat", outcome }, elapsed());
+  }
+}
+
+// Errors can opt out (err.retryable = false), e.g. a missing fixture in replay mode.
+function isRetryable(err) {
+  if (err?.retryable === false) return false;
+  const status = err?.status;
+  return status == null || status === 429 || status >= 500;
+}
+
+async function openaiChat({ system, user, lang, json = false }) {
+  if (!config.llmApiKey && isOpenAiHost(config.llmBaseUrl)) {
+    throw new HttpError(500, "Missing OPENAI_API_KEY");
+  }
+
+  const payload = {
+    model: llmModel(lang),
+    temperature: config.llmTemperature,
+    messages: [
+      { role: "system", content: system },
+      { role: "user", content: user },
+    ],
+    ...(json && config.llmJsonMode ? { response_format: { type: "json_object" } } : {}),
+  };
+
+  const deadline = Date.now() + config.llmTotalTimeoutMs;
+  const remaining = () => (config.llmTotalTimeoutMs > 0 ? deadline - Date.now() : Infinity);
+
+  for (let attempt = 0; ; attempt += 1) {
+    try {
+      const out = await completionOnce(payload, Math.min(config.llmTimeoutMs, remaining()));
+      const content = String(out?.choices?.[0]?.message?.content ?? "");
+
+      // Usage is normally reported; otherwise estimate ~4 characters per token.
+      chargeBudget(
+        "llmTokens",
+        out?.usage?.total_tokens ?? Math.ceil((system.length + user.length + content.length) / 4)
+      );
+      return content;
+    } catch (err) {
+      if (attempt >= config.llmRetries || !isRetryable(err)) throw err;
+      const wait = err?.retryAfterMs ?? config.llmRetryBaseMs * 2 ** attempt;
+      // No point retrying without time for the wait and a useful attempt after it.
+      if (remaining() - wait < Math.min(config.llmTimeoutMs, 1000)) {
+        log.warn(`chat attempt ${attempt + 1} failed (${err?.message || err}), no time left to retry`);
+        throw err;
+      }
+      log.warn(`chat attempt ${attempt + 1} failed (${err?.message || err}), retrying in ${wait} ms`);
+      await sleep(wait);
+    }
+  }
+}
+
+const MOCK_LINES = {
+  en: { hook: (place) => `Look at ${place}.`, action: "Take five minutes to walk over and see it." },
+  fr: { hook: (place) => `Regardez ${place}.`, action: "Prenez cinq minutes pour aller voir de plus près." },
+  he: { hook: (place) => `הביטו אל ${place}.`, action: "קחו חמש דקות כדי לגשת ולהציץ." },
+};
+
+/**
+ * Deterministic story from the prompt: a hook, one sentence per fact (in order, as many as
+ * the "N to M sentences" rule allows) and a practical action. Same prompt, same answer.
+ */
+export async function mockChat({ system, user, lang, json = false }) {
+  const lines = MOCK_LINES[String(lang || "").toLowerCase().slice(0, 2)] || MOCK_LINES.en;
+  const facts = String(user || "")
+    .split("\n")
+    .map((line) => line.match(/^\d+\.\s+(.*)$/)?.[1] || "")
+    .map((x) => normalizeWhitespace(x))
+    .filter(Boolean);
+  const place = String(user || "").match(/^Primary name:\s*(.*)$/m)?.[1] || "this place";
+  const max = Number(String(system || "").match(/(\d+) to (\d+) sentences total/)?.[2]) || 6;
+
+  const body = facts
+    .slice(0, Math.max(1, max - 2))
+    .map((f, i) => ({ text: /[.!?]$/.test(f) ? f : `${f}.`, facts: [i + 1] }));
+  const sentences = [
+    { text: lines.hook(place), facts: [] },
+    ...body,
+    { text: lines.action, facts: [] },
+  ];
+  if (json) return JSON.stringify({ sentences });
+  return sentences.map((x) => x.text).join(" ");
+}
+
+registerProvider("llm", "openai", { chat: openaiChat });
+registerProvider("llm", "mock", { chat: mockChat });
+
+/**
+ * First configured LLM provider that answers (PROVIDERS_LLM order).
+ * json=true asks for a single JSON object (response_format where the endpoint supports it).
+ */
+export async function chat({ system, user, lang, json = false }) {
+  const out = await timeStage("llm", () =>
+    firstProviderResult("llm", { lang }, (p) => p.chat({ system, user, lang, json }))
+  );
+  if (out == null) throw new HttpError(500, "No LLM provider configured");
+  return out;
+}
@@ -0,0 +1,147 @@
+/**
+ * metrics.js (ESM)
+ *
+ * Minimal Prometheus metrics (text exposition format 0.0.4), no client library.
+ * Metrics live in process memory and reset on restart; GET /metrics renders them.
+ */
+
+const registry = [];
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+  return JSON.stringify(labelNames.map((n) => String(labels[n] ?? "")));
+}
+
+function labelString(labelNames, values, extra = "") {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(",")}}` : "";
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return "+Inf";
+  return Number.isInteger(n) ? String(n) : String(Number(n.toFixed(6)));
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map(); // labelKey -> value
+
+  const metric = {
+    inc(labels = {}, n = 1) {
+      const k = labelKey(labelNames, labels);
+      series.set(k, (series.get(k) || 0) + n);
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const [k, v] of series) {
+        lines.push(`${name}${labelString(labelNames, JSON.parse(k))} ${formatNumber(v)}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+export const SECONDS_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+export function histogram(name, help, labelNames = [], buckets = SECONDS_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // labelKey -> { counts, sum, count }
+
+  const metric = {
+    observe(labels = {}, value) {
+      const v = Number(value);
+      if (!Number.isFinite(v)) return;
+      const k = labelKey(labelNames, labels);
+      let s = series.get(k);
+      if (!s) {
+        s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+        series.set(k, s);
+      }
+      bounds.forEach((b, i) => {
+        if (v <= b) s.counts[i] += 1;
+      });
+      s.sum += v;
+      s.count += 1;
+    },
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const [k, s] of series) {
+        const values = JSON.parse(k);
+        bounds.forEach((b, i) => {
+          lines.push(
+            `${name}_bucket${labelString(labelNames, values, `le="${formatNumber(b)}"`)} ${s.counts[i]}`
+          );
+        });
+        lines.push(`${name}_bucket${labelString(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        lines.push(`${name}_sum${labelString(labelNames, values)} ${formatNumber(s.sum)}`);
+        lines.push(`${name}_count${labelString(labelNames, values)} ${s.count}`);
+      }
+      return lines.join("\n");
+    },
+  };
+  registry.push(metric);
+  return metric;
+}
+
+// Start a timer; the returned function gives elapsed seconds.
+export function startTimer() {
+  const started = performance.now();
+  return () => (performance.now() - started) / 1000;
+}
+
+export function renderMetrics() {
+  return `${registry.map((m) => m.render()).join("\n\n")}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// --- Metrics used across the app ---
+
+export const upstreamRequests = counter(
+  "btw_upstream_requests_total",
+  "Outbound HTTP requests (fetchJson/fetchText) by host and HTTP status (\"error\" = network error or timeout).",
+  ["host", "status"]
+);
+
+export const upstreamDuration = histogram(
+  "btw_upstream_request_duration_seconds",
+  "Outbound HTTP request duration by host.",
+  ["host"]
+);
+
+// Google answers quota/denied errors with HTTP 200 and a JSON status; count those separately.
+export const upstreamApiStatus = counter(
+  "btw_upstream_api_status_total",
+  "JSON \"status\" field of upstream API responses (e.g. Google OVER_QUERY_LIMIT).",
+  ["host", "api_status"]
+);
+
+export const cacheLookups = counter(
+  "btw_cache_lookups_total",
+  "In-memory cache lookups by key prefix and result.",
+  ["prefix", "result"]
+);
+
+export const openaiDuration = histogram(
+  "btw_openai_request_duration_seconds",
+  "OpenAI request duration by operation (chat, tts) and outcome.",
+  ["op", "outcome"]
+);
+
+export const storyDecisions = counter(
+  "btw_story_decisions_total",
+  "story-both outcomes by shouldSpeak and reason.",
+  ["should_speak", "reason"]
+);
+
+export const storyLength = histogram(
+  "btw_story_length_chars",
+  "Length of spoken stories in characters.",
+  [],
+  [100, 200, 300, 400, 500, 600, 800, 1000, 1500]
+);
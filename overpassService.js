@@ -0,0 +1,154 @@
+/**
+ * overpassService.js (ESM)
+ *
+ * OpenStreetMap POI provider via the Overpass API.
+ * Returns candidates in the same shape as googlePlacesNearby in poiService.js
+ * (placeId, name, types, rating, userRatingsTotal, vicinity, location), plus:
+ * - provider: "osm"
+ * - osmTags: category tags we matched on
+ * - wikidata / wikipedia: linked entity from OSM tags, so enrichment can go straight to it.
+ *
+ * Never throws on Overpass errors: returns [] (cached briefly) so the caller can fall back.
+ */
+
+import { config } from "./config.js";
+import { cacheGet, cacheSet, fetchJson, normalizeWhitespace, makeLogger } from "./utils.js";
+
+const log = makeLogger("overpassService");
+
+function normalizeLang(lang) {
+  const v = String(lang || "en").toLowerCase();
+  if (v.startsWith("he")) return "he";
+  if (v.startsWith("fr")) return "fr";
+  if (v.startsWith("en")) return "en";
+  return v.slice(0, 5);
+}
+
+// OSM tag values we care about, and the Google-like type they map to.
+const TOURISM = {
+  attraction: "tourist_attraction",
+  museum: "museum",
+  gallery: "art_gallery",
+  artwork: "art_gallery",
+  viewpoint: "tourist_attraction",
+  zoo: "zoo",
+  theme_park: "amusement_park",
+};
+
+const AMENITY = {
+  library: "library",
+  theatre: "theater",
+  arts_centre: "art_gallery",
+  place_of_worship: "place_of_worship",
+  university: "university",
+  fountain: "tourist_attraction",
+  cafe: "cafe",
+  restaurant: "restaurant",
+};
+
+const LEISURE = {
+  park: "park",
+  garden: "park",
+  stadium: "stadium",
+  nature_reserve: "natural_feature",
+};
+
+function tagRegex(map) {
+  return `^(${Object.keys(map).join("|")})$`;
+}
+
+function buildQuery({ lat, lng, radiusMeters }) {
+  const around = `around:${Math.round(radiusMeters)},${lat},${lng}`;
+  const timeoutSec = Math.max(1, Math.ceil(config.httpTimeoutMs / 1000));
+  return [
+    `[out:json][timeout:${timeoutSec}];`,
+    `(`,
+    `nwr(${around})["name"]["tourism"~"${tagRegex(TOURISM)}"];`,
+    `nwr(${around})["name"]["historic"];`,
+    `nwr(${around})["name"]["amenity"~"${tagRegex(AMENITY)}"];`,
+    `nwr(${around})["name"]["leisure"~"${tagRegex(LEISURE)}"];`,
+    `);`,
+    `out center tags ${Math.max(1, config.overpassMaxResults)};`,
+  ].join("");
+}
+
+function typesFromTags(tags) {
+  const types = [];
+  if (TOURISM[tags.tourism]) types.push(TOURISM[tags.tourism]);
+  if (tags.historic) types.push("historic", "tourist_attraction");
+  if (AMENITY[tags.amenity]) types.push(AMENITY[tags.amenity]);
+  if (LEISURE[tags.leisure]) types.push(LEISURE[tags.leisure]);
+  types.push("point_of_interest");
+  return Array.from(new Set(types));
+}
+
+function mapElement(el, lang) {
+  const tags = el?.tags || {};
+  const name = tags[`name:${lang}`] || tags.name || "";
+  const la = el.lat ?? el.center?.lat;
+  const lo = el.lon ?? el.center?.lon;
+  if (!name || !Number.isFinite(la) || !Number.isFinite(lo)) return null;
+
+  const vicinity = normalizeWhitespace(
+    [tags["addr:street"], tags["addr:housenumber"]].filter(Boolean).join(" ")
+  );
+
+  return {
+    provider: "osm",
+    placeId: `${el.type}/${el.id}`,
+    name,
+    types: typesFromTags(tags),
+    rating: null,
+    userRatingsTotal: null,
+    vicinity: vicinity || null,
+    location: { lat: la, lng: lo },
+    osmTags: {
+      tourism: tags.tourism || null,
+      historic: tags.historic || null,
+      amenity: tags.amenity || null,
+      leisure: tags.leisure || null,
+    },
+    wikidata: /^Q\d+$/.test(String(tags.wikidata || "")) ? tags.wikidata : null,
+    wikipedia: tags.wikipedia || null,
+  };
+}
+
+export async function overpassPlacesNearby({ lat, lng, lang, radiusMeters }) {
+  const l = normalizeLang(lang);
+  const cacheKey = `places:osm:${l}:${lat.toFixed(5)},${lng.toFixed(5)}:${radiusMeters}`;
+  const cached = cacheGet(cacheKey);
+  if (cached) return cached;
+
+  const url =
+    `${config.overpassBaseUrl}/api/interpreter` +
+    `?data=${encodeURIComponent(buildQuery({ lat, lng, radiusMeters }))}`;
+
+  let r;
+  try {
+    r = await fetchJson(url, {
+      timeoutMs: config.httpTimeoutMs,
+      headers: { "User-Agent": config.osmUserAgent },
+    });
+  } catch (e) {
+    log.warn("overpass request failed:", e?.message || e);
+    return [];
+  }
+
+  if (!r.ok || !Array.isArray(r.json?.elements)) {
+    log.warn("overpass bad response:", r.status);
+    cacheSet(cacheKey, [], Math.min(config.geoCacheTtlMs, 5 * 60 * 1000));
+    return [];
+  }
+
+  const seen = new Set();
+  const out = [];
+  for (const el of r.json.elements) {
+    const p = mapElement(el, l);
+    if (!p || seen.has(p.placeId)) continue;
+    seen.add(p.placeId);
+    out.push(p);
+  }
+
+  cacheSet(cacheKey, out, config.geoCacheTtlMs);
+  return out;
+}
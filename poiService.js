@@ -3,9 +3,16 @@
  *
  * Strategy:
  * 1) Reverse geocode (Google first, fallback OSM) to get anchor: street, neighborhood, city.
- * 2) Try Google Places nearby (optional) for a strong POI within radius.
+ *    Every stage goes through the provider registry (providers.js); the order here is the default.
+ * 2) Try POI providers (Google Places, OSM Overpass; see POI_PROVIDERS / POI_PROVIDER_MODE)
+ *    for a strong POI within radius, keeping only candidates inside the forward cone
+ *    when heading/speed are known. Candidates are ranked per user: shared score + taste,
+ *    distance and novelty (ranking.js).
+ * 2b) If the provider linked a Wikidata/Wikipedia entity (OSM tags), pull its facts directly.
  * 3) Enrich with nearby Wikipedia context facts ONLY if relevant to a single primary entity.
  * 4) Try to extract "person facts" from street name via Wikidata (safe filtered).
+ * 5) Skip POIs (and anchor streets) already served to this user recently (story_logs),
+ *    or at any time on the current trip (excludePoiKeys, see tripService.js).
  *
  * Notes:
  * - Avoid low-signal rating facts when reviews are tiny (< 20).
@@ -23,8 +30,20 @@ import {
   stripCommaSuffix,
   safeTrim,
   makeLogger,
+  metersBetween,
+  bearingBetween,
 } from "./utils.js";
-import { tryPersonFactsFromName, getNearbyWikiContext } from "./wikiService.js";
+import {
+  tryPersonFactsFromName,
+  getNearbyWikiContext,
+  getLinkedEntityFacts,
+} from "./wikiService.js";
+import { overpassPlacesNearby } from "./overpassService.js";
+import { registerProvider, resolveProviders, firstProviderResult } from "./providers.js";
+import { wasPoiRecentlyServed } from "./db.js";
+import { timeStage } from "./requestContext.js";
+import { chargeBudget } from "./rateLimit.js";
+import { personalScore, rankWeights, servedCounts } from "./ranking.js";
 
 const log = makeLogger("poiService");
 const DEBUG_WIKI_CONTEXT = config.debugWikiContext === true || process.env.DEBUG_WIKI_CONTEXT === "1";
@@ -45,18 +64,148 @@ function placesKey() {
   return config.googlePlacesApiKey || config.googleMapsApiKey || "";
 }
 
-function metersBetween(lat1, lng1, lat2, lng2) {
-  const R = 6371000;
-  const toRad = (d) => (d * Math.PI) / 180;
-  const dLat = toRad(lat2 - lat1);
-  const dLng = toRad(lng2 - lng1);
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(toRad(lat1)) *
-      Math.cos(toRad(lat2)) *
-      Math.sin(dLng / 2) *
-      Math.sin(dLng / 2);
-  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+// Signed angle from heading to target bearing, in (-180, 180]. Negative = to the left.
+function relativeAngle(headingDeg, bearingDeg) {
+  let d = (((bearingDeg - headingDeg) % 360) + 360) % 360;
+  if (d > 180) d -= 360;
+  return d;
+}
+
+function parseTimestampMs(v) {
+  if (v == null || v === "") return null;
+  const n = typeof v === "number" ? v : Number(v);
+  if (Number.isFinite(n)) return n;
+  const d = Date.parse(String(v));
+  return Number.isFinite(d) ? d : null;
+}
+
+// Below this displacement the bearing between two fixes is mostly GPS noise.
+const MIN_MOVE_FOR_BEARING_M = 8;
+
+/**
+ * Resolve travel direction and speed.
+ * - heading: degrees clockwise from north; negative means unknown (iOS reports -1).
+ * - speed: meters/second; negative means unknown.
+ * - prev: optional previous fix { lat, lng, timestamp? } used when heading/speed are missing.
+ */
+function resolveMotion({ lat, lng, heading, speed, timestamp, prev }) {
+  let headingDeg = Number.isFinite(heading) && heading >= 0 ? heading % 360 : null;
+  let speedMps = Number.isFinite(speed) && speed >= 0 ? speed : null;
+
+  const pLat = Number(prev?.lat);
+  const pLng = Number(prev?.lng);
+  if (prev && Number.isFinite(pLat) && Number.isFinite(pLng)) {
+    const moved = metersBetween(pLat, pLng, lat, lng);
+
+    if (headingDeg === null && moved >= MIN_MOVE_FOR_BEARING_M) {
+      headingDeg = bearingBetween(pLat, pLng, lat, lng);
+    }
+
+    if (speedMps === null) {
+      const t0 = parseTimestampMs(prev.timestamp);
+      const t1 = parseTimestampMs(timestamp) ?? Date.now();
+      if (t0 !== null && t1 > t0) speedMps = moved / ((t1 - t0) / 1000);
+    }
+  }
+
+  return { headingDeg, speedMps };
+}
+
+// Half-angle of the forward cone: wide in slow traffic, narrow on highways, off when nearly stopped.
+function coneHalfAngleDeg({ headingDeg, speedMps }) {
+  if (headingDeg === null) return 180;
+  if (speedMps === null) return config.poiConeWideDeg;
+  if (speedMps < config.poiConeSlowMps) return 180;
+
+  const span = Math.max(1, config.poiConeFastMps - config.poiConeSlowMps);
+  const k = Math.min(1, (speedMps - config.poiConeSlowMps) / span);
+  return config.poiConeWideDeg - k * (config.poiConeWideDeg - config.poiConeNarrowDeg);
+}
+
+// Round to something a narrator would say out loud.
+function speakableMeters(m) {
+  if (m < 100) return Math.max(10, Math.round(m / 10) * 10);
+  if (m < 1000) return Math.round(m / 50) * 50;
+  return Math.round(m / 100) * 100;
+}
+
+function positionLabel({ side, distM, aheadM, lang }) {
+  const l = normalizeLang(lang);
+  const d = speakableMeters(distM);
+  const a = speakableMeters(aheadM);
+  const withAhead = aheadM >= 80;
+
+  if (l === "he") {
+    if (side === "ahead") return `לפניך, בעוד כ-${a} מטר`;
+    if (side === "left") return withAhead ? `משמאלך, בעוד כ-${a} מטר` : "משמאלך";
+    if (side === "right") return withAhead ? `מימינך, בעוד כ-${a} מטר` : "מימינך";
+    if (side === "behind") return `מאחוריך, כ-${d} מטר`;
+    return `במרחק כ-${d} מטר`;
+  }
+
+  if (l === "fr") {
+    if (side === "ahead") return `droit devant, dans environ ${a} m`;
+    if (side === "left") return withAhead ? `sur votre gauche, dans environ ${a} m` : "sur votre gauche";
+    if (side === "right") return withAhead ? `sur votre droite, dans environ ${a} m` : "sur votre droite";
+    if (side === "behind") return `derrière vous, à environ ${d} m`;
+    return `à environ ${d} m`;
+  }
+
+  if (side === "ahead") return `ahead in about ${a} m`;
+  if (side === "left") return withAhead ? `on your left in about ${a} m` : "on your left";
+  if (side === "right") return withAhead ? `on your right in about ${a} m` : "on your right";
+  if (side === "behind") return `behind you, about ${d} m back`;
+  return `about ${d} m away`;
+}
+
+const SIDE_WORDS = {
+  he: { ahead: "לפניך", left: "משמאלך", right: "מימינך", behind: "מאחוריך" },
+  fr: { ahead: "droit devant", left: "sur votre gauche", right: "sur votre droite", behind: "derrière vous" },
+  en: { ahead: "ahead", left: "on your left", right: "on your right", behind: "behind you" },
+};
+
+/**
+ * Side-only version of a relativePosition ({ side, label }, no distances), for stories that are
+ * cached per side and told from any distance. null when the side is unknown.
+ */
+export function coarsePosition(position, lang) {
+  const side = position?.side;
+  if (!side) return null;
+  return { side, label: SIDE_WORDS[normalizeLang(lang)][side] };
+}
+
+/**
+ * Where a place is relative to the driver.
+ * side is null when we do not know the travel direction.
+ */
+function relativePosition({ lat, lng, location, motion, lang }) {
+  const distM = metersBetween(lat, lng, location.lat, location.lng);
+  const bearingDeg = bearingBetween(lat, lng, location.lat, location.lng);
+
+  if (motion?.headingDeg == null) {
+    return {
+      distanceMeters: Math.round(distM),
+      bearingDeg: Math.round(bearingDeg),
+      relativeDeg: null,
+      side: null,
+      aheadMeters: null,
+      label: positionLabel({ side: null, distM, aheadM: 0, lang }),
+    };
+  }
+
+  const rel = relativeAngle(motion.headingDeg, bearingDeg);
+  const abs = Math.abs(rel);
+  const side = abs <= 25 ? "ahead" : abs >= 135 ? "behind" : rel < 0 ? "left" : "right";
+  const aheadM = Math.max(0, distM * Math.cos((rel * Math.PI) / 180));
+
+  return {
+    distanceMeters: Math.round(distM),
+    bearingDeg: Math.round(bearingDeg),
+    relativeDeg: Math.round(rel),
+    side,
+    aheadMeters: Math.round(aheadM),
+    label: positionLabel({ side, distM, aheadM, lang }),
+  };
 }
 
 // Normalize street to a "name candidate" (remove house numbers, prefixes, etc).
@@ -198,9 +347,9 @@ async function reverseGeocodeGoogle({ lat, lng, lang }) {
   const best = res[0];
   const comps = Array.isArray(best?.address_components) ? best.address_components : [];
 
-  const getComp = (type) => {
+  const getComp = (type, field = "long_name") => {
     const c = comps.find((x) => Array.isArray(x.types) && x.types.includes(type));
-    return c?.long_name || "";
+    return c?.[field] || "";
   };
 
   const streetNumber = getComp("street_number");
@@ -208,6 +357,7 @@ async function reverseGeocodeGoogle({ lat, lng, lang }) {
   const neighborhood = getComp("neighborhood") || getComp("sublocality");
   const locality = getComp("locality") || getComp("administrative_area_level_2");
   const country = getComp("country");
+  const countryCode = getComp("country", "short_name").toUpperCase();
 
   const street = normalizeWhitespace([route, streetNumber].filter(Boolean).join(" "));
   const areaLabel = normalizeWhitespace([street || neighborhood, locality, country].filter(Boolean).join(", "));
@@ -218,6 +368,7 @@ async function reverseGeocodeGoogle({ lat, lng, lang }) {
     neighborhood,
     city: locality,
     country,
+    countryCode,
     areaLabel,
   };
 
@@ -250,6 +401,7 @@ async function reverseGeocodeOSM({ lat, lng, lang }) {
   const neighborhood = addr.neighbourhood || addr.suburb || "";
   const city = addr.city || addr.town || addr.village || addr.municipality || "";
   const country = addr.country || "";
+  const countryCode = String(addr.country_code || "").toUpperCase();
 
   const street = normalizeWhitespace([road, houseNumber].filter(Boolean).join(" "));
   const areaLabel = normalizeWhitespace([street || neighborhood, city, country].filter(Boolean).join(", "));
@@ -260,6 +412,7 @@ async function reverseGeocodeOSM({ lat, lng, lang }) {
     neighborhood,
     city,
     country,
+    countryCode,
     areaLabel,
   };
 
@@ -267,12 +420,11 @@ async function reverseGeocodeOSM({ lat, lng, lang }) {
   return out;
 }
 
+// First provider with an answer wins; a geocoding outage only costs us the anchor, not the request.
 async function reverseGeocode({ lat, lng, lang }) {
-  return (
-    (await reverseGeocodeGoogle({ lat, lng, lang })) ||
-    (await reverseGeocodeOSM({ lat, lng, lang })) ||
-    null
-  );
+  return timeStage("geocode", () =>
+    firstProviderResult("geocode", { lang }, (p) => p.reverseGeocode({ lat, lng, lang }))
+  ).catch(() => null);
 }
 
 async function googlePlacesNearby({ lat, lng, lang, radiusMeters }) {
@@ -312,6 +464,7 @@ async function googlePlacesNearby({ lat, lng, lang, radiusMeters }) {
       continue;
     }
 
+    chargeBudget("placesCalls", 1);
     const r = await fetchJson(url, { timeoutMs: config.httpTimeoutMs });
     if (!r.ok || !r.json || r.json.status !== "OK") {
       cacheSet(cacheKey, [], config.geoCacheTtlMs);
@@ -321,6 +474,7 @@ async function googlePlacesNearby({ lat, lng, lang, radiusMeters }) {
     const res = Array.isArray(r.json.results) ? r.json.results : [];
     const mapped = res
       .map((p) => ({
+        provider: "google",
         placeId: p.place_id,
         name: p.name,
         types: p.types || [],
@@ -346,23 +500,172 @@ async function googlePlacesNearby({ lat, lng, lang, radiusMeters }) {
   return Array.from(byId.values());
 }
 
-function scorePlace(p) {
+function sameNameish(a, b) {
+  const x = normalizeWhitespace(a).toLowerCase();
+  const y = normalizeWhitespace(b).toLowerCase();
+  if (!x || !y) return false;
+  return x === y || x.includes(y) || y.includes(x);
+}
+
+// Merge provider results; a duplicate keeps the earlier (higher priority) entry
+// but inherits linked entity tags it was missing.
+function mergePlaces(base, extra) {
+  const out = base.slice();
+  for (const p of extra) {
+    const i = out.findIndex(
+      (q) =>
+        sameNameish(q.name, p.name) &&
+        metersBetween(q.location.lat, q.location.lng, p.location.lat, p.location.lng) < 75
+    );
+    if (i === -1) {
+      out.push(p);
+      continue;
+    }
+    out[i] = {
+      ...out[i],
+      wikidata: out[i].wikidata || p.wikidata || null,
+      wikipedia: out[i].wikipedia || p.wikipedia || null,
+    };
+  }
+  return out;
+}
+
+async function placesNearby({ lat, lng, lang, radiusMeters, country = "" }) {
+  const merge = config.poiProviderMode === "merge";
+  let all = [];
+
+  for (const { name, impl } of resolveProviders("places", { lang, country })) {
+    let found = [];
+    try {
+      found = (await timeStage("places", () => impl.nearby({ lat, lng, lang, radiusMeters }))) || [];
+    } catch (e) {
+      log.warn(`places provider "${name}" failed:`, e?.message || e);
+    }
+    if (!found.length) continue;
+    if (!merge) return found;
+    all = mergePlaces(all, found);
+  }
+
+  return all;
+}
+
+// Provider -> POI key prefix / poi.source / pick reason.
+const PROVIDER_LABELS = {
+  google: { keyPrefix: "gplaces", source: "google_places", reason: "poi_google_places" },
+  osm: { keyPrefix: "osm", source: "osm_overpass", reason: "poi_osm" },
+};
+
+function providerLabels(p) {
+  const name = p?.provider || "google";
+  return (
+    PROVIDER_LABELS[name] || { keyPrefix: name, source: name, reason: `poi_${name}` }
+  );
+}
+
+function placePoiKey(p) {
+  return `${providerLabels(p).keyPrefix}:${p.placeId}`;
+}
+
+// Anchor key is per street (not per GPS fix) so a slow crawl down one street is one story.
+function anchorPoiKey({ anchor, lat, lng }) {
+  const street = anchor?.street ? normalizeStreetName(anchor.street).toLowerCase() : "";
+  if (street) {
+    const city = anchor?.city ? stripCommaSuffix(anchor.city).toLowerCase() : "";
+    return `anchor:street:${city}|${street}`;
+  }
+  return `anchor:${lat.toFixed(3)},${lng.toFixed(3)}`;
+}
+
+async function recentlyServed(userId, poiKey) {
+  if (!userId || config.recentlyServedMinutes <= 0) return false;
+  try {
+    return await wasPoiRecentlyServed({
+      userId,
+      poiKey,
+      withinMinutes: config.recentlyServedMinutes,
+    });
+  } catch (e) {
+    log.warn("wasPoiRecentlyServed failed:", e?.message || e);
+    return false;
+  }
+}
+
+// Score parts by name; scorePlace is their sum. Kept separate so debug output can show them.
+function scoreComponents(p) {
+  const linked = p.wikidata || p.wikipedia ? 1 : 0;
+
+  if (p.provider === "osm") {
+    // No ratings in OSM: a notable category and a linked encyclopedia entry stand in for popularity.
+    const notable = p.osmTags?.tourism || p.osmTags?.historic ? 0.5 : 0;
+    return { base: 3.5, notable, linked };
+  }
+
   const r = typeof p.rating === "number" ? p.rating : 0;
   const n = typeof p.userRatingsTotal === "number" ? p.userRatingsTotal : 0;
   const pop = Math.min(1.5, Math.log10(1 + n) / 3.2);
-  return r + pop;
+  return { rating: r, popularity: pop, linked: 0.3 * linked };
 }
 
-function placeFacts({ p, lang, dist }) {
+function scorePlace(p) {
+  return Object.values(scoreComponents(p)).reduce((a, b) => a + b, 0);
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+// One candidate as seen by the scoring debug output; removedBy is filled in as filters run.
+function explainCandidate(c, position, lang) {
+  const components = {};
+  for (const [k, v] of Object.entries(scoreComponents(c))) components[k] = round3(v);
+  return {
+    key: placePoiKey(c),
+    name: c.name,
+    provider: c.provider || "google",
+    types: c.types || [],
+    rating: c.rating ?? null,
+    userRatingsTotal: c.userRatingsTotal ?? null,
+    linked: Boolean(c.wikidata || c.wikipedia),
+    distanceMeters: Math.round(position.distanceMeters),
+    relativeDeg: position.relativeDeg === null ? null : Math.round(position.relativeDeg),
+    side: position.side,
+    genericName: isGenericPoiName(c.name, lang),
+    components,
+    score: round3(scorePlace(c)),
+    removedBy: null,
+    selected: false,
+  };
+}
+
+// Link to the place on the provider's own map, for citations.
+function placeSourceUrl(p) {
+  if (!p?.placeId) return null;
+  const name = p.provider || "google";
+  if (name === "google") return `https://www.google.com/maps/place/?q=place_id:${encodeURIComponent(p.placeId)}`;
+  if (name === "osm") return `https://www.openstreetmap.org/${p.placeId}`;
+  return null;
+}
+
+// Link for a stored POI key (story_logs and trips keep keys, not places); null for anchors.
+export function poiKeyUrl(key) {
+  const m = String(key || "").match(/^([^:]+):(.+)$/);
+  if (!m) return null;
+  const provider = Object.keys(PROVIDER_LABELS).find((n) => PROVIDER_LABELS[n].keyPrefix === m[1]);
+  return provider ? placeSourceUrl({ provider, placeId: m[2] }) : null;
+}
+
+// poi.factSources: fact text -> { provider, url } (where the fact came from; url may be null).
+function factSources(facts, source) {
+  const out = {};
+  for (const f of facts || []) out[normalizeWhitespace(String(f || "")).trim()] = source;
+  return out;
+}
+
+// No distance here: facts go into cached stories, which must fit every approach (storyCache.js).
+function placeFacts({ p, lang }) {
   const l = normalizeLang(lang);
   const facts = [];
 
-  if (Number.isFinite(dist) && dist !== null) {
-    if (l === "he") facts.push(`בערך ${dist} מטר מפה.`);
-    else if (l === "fr") facts.push(`À environ ${dist} m d’ici.`);
-    else facts.push(`About ${dist} meters from here.`);
-  }
-
   if (p.vicinity) {
     if (l === "he") facts.push(`באזור: ${p.vicinity}.`);
     else if (l === "fr") facts.push(`Dans le coin: ${p.vicinity}.`);
@@ -382,13 +685,13 @@ function placeFacts({ p, lang, dist }) {
   return facts;
 }
 
-function buildPoiFromPlace(p, lat, lng, lang, anchor) {
+function buildPoiFromPlace(p, lat, lng, lang, anchor, position = null) {
   const dist =
     p.location && typeof p.location.lat === "number" && typeof p.location.lng === "number"
       ? Math.round(metersBetween(lat, lng, p.location.lat, p.location.lng))
       : null;
 
-  const key = `gplaces:${p.placeId}`;
+  const key = placePoiKey(p);
 
   const l = normalizeLang(lang);
   const anchorStreetName = anchor?.street ? normalizeStreetName(anchor.street) : "";
@@ -416,18 +719,22 @@ function buildPoiFromPlace(p, lat, lng, lang, anchor) {
     }
   }
 
-  const facts = placeFacts({ p, lang, dist });
+  const facts = placeFacts({ p, lang });
 
   return {
     key,
-    source: "google_places",
+    source: providerLabels(p).source,
     label,
     description: null,
     wikipediaUrl: null,
     imageUrl: null,
     distanceMetersApprox: dist,
+    types: p.types || [],
     facts,
+    factSources: factSources(facts, { provider: providerLabels(p).source, url: placeSourceUrl(p) }),
     anchor: anchor || null,
+    relativePosition: position,
+    wikidata: p.wikidata || null,
 
     // Extra: keep what we decided is the primary entity label.
     primaryName: label,
@@ -435,7 +742,7 @@ function buildPoiFromPlace(p, lat, lng, lang, anchor) {
   };
 }
 
-async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], primaryName = "" }) {
+async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], primaryName = "", region = "" }) {
   const radiusM = Number.isFinite(Number(config.wikiRadiusMeters))
     ? Number(config.wikiRadiusMeters)
     : 1200;
@@ -443,7 +750,7 @@ async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], p
     ? Number(config.wikiContextLimit)
     : 8;
 
-  const ctx = await getNearbyWikiContext({ lat, lon: lng, lang, radiusM, limit });
+  const ctx = await getNearbyWikiContext({ lat, lon: lng, lang, radiusM, limit, region });
 
   if (DEBUG_WIKI_CONTEXT) {
     log.info("getNearbyWikiContext raw", {
@@ -462,7 +769,7 @@ async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], p
     });
   }
 
-  if (!ctx?.ok) return existingFacts;
+  if (!ctx?.ok) return { facts: existingFacts, sources: {} };
 
   const items = Array.isArray(ctx?.items) ? ctx.items : [];
 
@@ -473,9 +780,13 @@ async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], p
 
   // 2) Collect facts from relevant items only.
   let wikiFacts = [];
+  const sources = {};
   for (const it of relevantItems) {
     const fs = Array.isArray(it?.facts) ? it.facts : [];
     wikiFacts.push(...fs);
+    for (const [f, src] of Object.entries(factSources(fs, { provider: "wikipedia", url: it.url || null }))) {
+      sources[f] ??= src;
+    }
   }
 
   // 3) Extra guard: facts must also match primaryName by content.
@@ -484,62 +795,273 @@ async function enrichWithNearbyWikiFacts({ lat, lng, lang, existingFacts = [], p
   }
 
   // If nothing matched, DO NOT add wiki facts. This prevents the "random neighborhood" mess.
-  if (!wikiFacts.length) return existingFacts;
+  if (!wikiFacts.length) return { facts: existingFacts, sources: {} };
 
   // Keep few wiki facts, the strongest ones should already be first.
   wikiFacts = uniqFacts(wikiFacts, 4);
 
-  return uniqFacts([...existingFacts, ...wikiFacts], 12);
+  return { facts: uniqFacts([...existingFacts, ...wikiFacts], 12), sources };
+}
+
+// Facts straight from the entity the provider linked (OSM wikidata / wikipedia tags).
+async function linkedEntityFacts({ poi, place, lang, anchor }) {
+  if (!place?.wikidata && !place?.wikipedia) return null;
+
+  const ent = await getLinkedEntityFacts({
+    wikidata: place.wikidata,
+    wikipedia: place.wikipedia,
+    lang,
+    region: anchor?.countryCode || "",
+  });
+  if (!ent.ok) return null;
+
+  const qidUrl = ent.entity?.qid ? `https://www.wikidata.org/wiki/${encodeURIComponent(ent.entity.qid)}` : null;
+  return {
+    facts: ent.facts,
+    sources: factSources(
+      ent.facts,
+      ent.entity?.wikipediaUrl
+        ? { provider: "wikipedia", url: ent.entity.wikipediaUrl }
+        : { provider: "wikidata", url: qidUrl }
+    ),
+    patch: {
+      description: poi.description || ent.entity?.description || null,
+      wikipediaUrl: poi.wikipediaUrl || ent.entity?.wikipediaUrl || null,
+      wikidata: poi.wikidata || ent.entity?.qid || null,
+    },
+  };
+}
+
+// Enrich with wiki only if it matches our primary entity.
+async function nearbyWikiFacts({ poi, lat, lng, lang, anchor }) {
+  return enrichWithNearbyWikiFacts({
+    lat,
+    lng,
+    lang,
+    existingFacts: [],
+    primaryName: poi.primaryName || poi.label || "",
+    region: anchor?.countryCode || "",
+  });
+}
+
+// Street person facts (only if street looks like a person name).
+async function streetPersonFacts({ poi, anchor, lang }) {
+  if (!anchor?.street) return null;
+  const who = streetForPersonLookup(anchor.street);
+  if (!who) return null;
+
+  const pf = await tryPersonFactsFromName(who, lang, { region: anchor?.countryCode || "" });
+  if (!pf.ok || !pf.facts.length) return null;
+
+  return {
+    facts: pf.facts,
+    sources: factSources(pf.facts, { provider: "wikidata", url: pf.person?.wikidataUrl || null }),
+    patch: { anchor: { ...poi.anchor, person: pf.person || null } },
+  };
+}
+
+registerProvider("geocode", "google", { reverseGeocode: reverseGeocodeGoogle });
+registerProvider("geocode", "osm", { reverseGeocode: reverseGeocodeOSM });
+registerProvider("places", "google", { nearby: googlePlacesNearby });
+registerProvider("places", "osm", { nearby: overpassPlacesNearby });
+registerProvider("facts", "linked", { collect: linkedEntityFacts });
+registerProvider("facts", "wikiNearby", { collect: nearbyWikiFacts });
+registerProvider("facts", "streetPerson", { collect: streetPersonFacts });
+
+// Timing stage per facts provider (request trace); unknown providers are grouped as "facts".
+const FACTS_STAGE = { linked: "wiki", wikiNearby: "wiki", streetPerson: "personFacts" };
+
+// Source of every fact a provider returned, tagged with the provider (via) for topic learning.
+function collectedSources(name, r) {
+  const given = {};
+  for (const [f, src] of Object.entries(r.sources || {})) given[normalizeWhitespace(f).trim()] = src;
+
+  const out = {};
+  for (const f of r.facts) {
+    const k = normalizeWhitespace(String(f || "")).trim();
+    const src = given[k];
+    out[k] = { provider: src?.provider || name, url: src?.url || null, via: name };
+  }
+  return out;
+}
+
+/**
+ * Run every enabled facts provider in order; facts are additive (de-duplicated, max 12).
+ * ctx: { poi, place, lat, lng, lang, anchor } - lat/lng is where nearby lookups should center.
+ */
+async function collectFacts(ctx, { exclude = [] } = {}) {
+  const { poi } = ctx;
+  const providers = resolveProviders("facts", {
+    lang: ctx.lang,
+    country: ctx.anchor?.countryCode,
+  });
+
+  for (const { name, impl } of providers) {
+    if (exclude.includes(name)) continue;
+    try {
+      const r = await timeStage(FACTS_STAGE[name] || "facts", () => impl.collect(ctx));
+      if (!r) continue;
+      if (r.patch) Object.assign(poi, r.patch);
+      if (Array.isArray(r.facts) && r.facts.length) {
+        poi.facts = uniqFacts([...poi.facts, ...r.facts], 12);
+        poi.factSources = { ...collectedSources(name, r), ...(poi.factSources || {}) };
+      }
+    } catch (e) {
+      log.warn(`facts provider "${name}" failed:`, e?.message || e);
+    }
+  }
 }
 
 /**
  * Public API expected by server.js
  */
-export async function findBestPoi({ lat, lng, userId, lang = "en" }) {
+export async function findBestPoi({
+  lat,
+  lng,
+  userId,
+  lang = "en",
+  heading = null,
+  speed = null,
+  timestamp = null,
+  prev = null,
+  taste = null,
+  excludePoiKeys = [],
+  debug = false,
+}) {
   if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
     throw new HttpError(400, "Invalid coordinates");
   }
 
+  // Already told on this trip (tripService.js), whatever RECENTLY_SERVED_MINUTES says.
+  const excluded = new Set(excludePoiKeys);
+
   const l = normalizeLang(lang);
   const anchor = await reverseGeocode({ lat, lng, lang: l });
 
+  const motion = resolveMotion({ lat, lng, heading, speed, timestamp, prev });
+  const halfAngle = coneHalfAngleDeg(motion);
+
   const radius = config.poiRadiusMeters;
-  const candidates = await googlePlacesNearby({ lat, lng, lang: l, radiusMeters: radius });
+  const candidates = await placesNearby({
+    lat,
+    lng,
+    lang: l,
+    radiusMeters: radius,
+    country: anchor?.countryCode,
+  });
 
-  let best = null;
-  let bestScore = -1;
+  // Only built when asked for: every candidate, its score parts, and the filter that dropped it.
+  const explained = debug ? new Map() : null;
+  const explain = (c, patch) => {
+    if (explained) Object.assign(explained.get(c), patch);
+  };
 
-  for (const c of candidates.slice(0, config.poiMaxCandidates)) {
-    const s = scorePlace(c);
-    if (s > bestScore) {
-      bestScore = s;
-      best = c;
+  // Drop what is already behind us before capping the candidate list.
+  const forward = [];
+  for (const c of candidates) {
+    const position = relativePosition({ lat, lng, location: c.location, motion, lang: l });
+    if (explained) explained.set(c, explainCandidate(c, position, l));
+    if (position.relativeDeg !== null && Math.abs(position.relativeDeg) > halfAngle) {
+      explain(c, { removedBy: "cone" });
+      continue;
     }
+    forward.push({ c, position });
   }
 
-  if (best) {
-    const poi = buildPoiFromPlace(best, lat, lng, l, anchor);
-
-    // Enrich with wiki only if it matches our primary entity
-    poi.facts = await enrichWithNearbyWikiFacts({
-      lat,
-      lng,
-      lang: l,
-      existingFacts: poi.facts,
-      primaryName: poi.primaryName || poi.label || "",
+  for (const { c } of forward.slice(config.poiMaxCandidates)) explain(c, { removedBy: "cap" });
+
+  const capped = forward.slice(0, config.poiMaxCandidates);
+  const served = await servedCounts(userId, capped.map(({ c }) => placePoiKey(c)));
+
+  // Shared score (rating, popularity, alignment) combined with taste, distance and novelty (ranking.js).
+  const scored = capped.map(({ c, position }) => {
+    const alignment =
+      position.relativeDeg === null
+        ? 0
+        : config.poiAheadBonus * Math.cos((position.relativeDeg * Math.PI) / 180);
+    const p = personalScore({
+      place: c,
+      base: scorePlace(c) + alignment,
+      taste,
+      distanceMeters: position.distanceMeters,
+      radiusMeters: radius,
+      servedCount: served[placePoiKey(c)] || 0,
     });
+    return { c, position, alignment, ...p };
+  });
 
-    // Street person facts (only if street looks like a person name)
-    if (anchor?.street) {
-      const who = streetForPersonLookup(anchor.street);
-      if (who) {
-        const pf = await tryPersonFactsFromName(who, l);
-        if (pf.ok && pf.facts.length) {
-          poi.facts = uniqFacts([...poi.facts, ...pf.facts], 12);
-          poi.anchor = { ...poi.anchor, person: pf.person || null };
-        }
-      }
+  if (explained) {
+    for (const r of scored) {
+      const e = explained.get(r.c);
+      e.components.alignment = round3(r.alignment);
+      e.contributions = r.contributions;
+      e.personal = r.personal;
+      e.score = round3(r.score);
+    }
+  }
+
+  const ranked = [];
+  for (const r of scored) {
+    if (r.excludedTopic) explain(r.c, { removedBy: `disliked_topic:${r.excludedTopic}` });
+    else ranked.push(r);
+  }
+  ranked.sort((a, b) => b.score - a.score);
+
+  // Best candidate this user has not heard recently; fall through to the next-best.
+  let best = null;
+  let bestPosition = null;
+  const skippedRecent = [];
+
+  for (const r of ranked) {
+    if (best) {
+      explain(r.c, { removedBy: "not_best" });
+      continue;
     }
+    const key = placePoiKey(r.c);
+    if (excluded.has(key)) {
+      skippedRecent.push(key);
+      explain(r.c, { removedBy: "served_this_trip" });
+      continue;
+    }
+    if (await recentlyServed(userId, key)) {
+      skippedRecent.push(key);
+      explain(r.c, { removedBy: "recently_served" });
+      continue;
+    }
+    best = r.c;
+    bestPosition = r.position;
+    explain(r.c, { selected: true });
+  }
+
+  const motionOut = {
+    headingDeg: motion.headingDeg === null ? null : Math.round(motion.headingDeg),
+    speedMps: motion.speedMps === null ? null : Math.round(motion.speedMps * 10) / 10,
+    coneHalfAngleDeg: Math.round(halfAngle),
+  };
+
+  const debugOut = explained
+    ? {
+        radiusMeters: radius,
+        coneHalfAngleDeg: Math.round(halfAngle),
+        maxCandidates: config.poiMaxCandidates,
+        aheadBonus: config.poiAheadBonus,
+        weights: rankWeights(),
+        anchor,
+        candidates: Array.from(explained.values()).sort(
+          (a, b) => Number(b.selected) - Number(a.selected) || b.score - a.score
+        ),
+      }
+    : undefined;
+
+  if (best) {
+    const poi = buildPoiFromPlace(best, lat, lng, l, anchor, bestPosition);
+
+    // Centered on the place and without street person facts, as in describePlace: the story
+    // is cached per place, so its facts must not depend on where the driver is.
+    await collectFacts(
+      { poi, place: best, lat: best.location.lat, lng: best.location.lng, lang: l, anchor },
+      { exclude: ["streetPerson"] }
+    );
 
     if (DEBUG_WIKI_CONTEXT) {
       log.info("final facts going into story", {
@@ -558,14 +1080,38 @@ export async function findBestPoi({ lat, lng, userId, lang = "en" }) {
 
     return {
       shouldSpeak: true,
-      reason: "poi_google_places",
+      reason: providerLabels(best).reason,
       distanceMetersApprox: poi.distanceMetersApprox ?? null,
-      poi: { key: poi.key, label: poi.label, source: poi.source },
+      relativePosition: poi.relativePosition,
+      motion: motionOut,
+      poi: {
+        key: poi.key,
+        label: poi.label,
+        source: poi.source,
+        relativePosition: poi.relativePosition,
+      },
       poiWithFacts: poi,
+      skippedRecentlyServed: skippedRecent,
+      debug: debugOut,
+    };
+  }
+
+  // No strong (or new) POI found - fallback anchor POI, unless this street was already narrated.
+  const anchorKey = anchorPoiKey({ anchor, lat, lng });
+
+  if (excluded.has(anchorKey) || (await recentlyServed(userId, anchorKey))) {
+    return {
+      shouldSpeak: false,
+      reason: "all_recently_served",
+      distanceMetersApprox: null,
+      relativePosition: null,
+      motion: motionOut,
+      poi: null,
+      skippedRecentlyServed: [...skippedRecent, anchorKey],
+      debug: debugOut,
     };
   }
 
-  // No strong POI found - fallback anchor POI
   const label =
     anchor?.areaLabel ||
     (l === "he" ? "האזור הזה" : l === "fr" ? "ce coin" : "this area");
@@ -579,7 +1125,7 @@ export async function findBestPoi({ lat, lng, userId, lang = "en" }) {
       : (anchorStreetName && anchorCity ? `${anchorStreetName} (${anchorCity})` : anchorStreetName || stripCommaSuffix(label));
 
   const anchorPoi = {
-    key: `anchor:${lat.toFixed(5)},${lng.toFixed(5)}`,
+    key: anchorKey,
     source: "anchor",
     label: primaryName || label,
     description: null,
@@ -587,30 +1133,15 @@ export async function findBestPoi({ lat, lng, userId, lang = "en" }) {
     imageUrl: null,
     distanceMetersApprox: 0,
     facts: [],
+    factSources: {},
     anchor,
+    relativePosition: null,
 
     primaryName: primaryName || label,
     poiWasGenericName: true,
   };
 
-  anchorPoi.facts = await enrichWithNearbyWikiFacts({
-    lat,
-    lng,
-    lang: l,
-    existingFacts: anchorPoi.facts,
-    primaryName: anchorPoi.primaryName || "",
-  });
-
-  if (anchor?.street) {
-    const who = streetForPersonLookup(anchor.street);
-    if (who) {
-      const pf = await tryPersonFactsFromName(who, l);
-      if (pf.ok && pf.facts.length) {
-        anchorPoi.facts = uniqFacts([...anchorPoi.facts, ...pf.facts], 12);
-        anchorPoi.anchor = { ...anchorPoi.anchor, person: pf.person || null };
-      }
-    }
-  }
+  await collectFacts({ poi: anchorPoi, place: null, lat, lng, lang: l, anchor });
 
   if (DEBUG_WIKI_CONTEXT) {
     log.info("final facts going into story", {
@@ -631,7 +1162,95 @@ export async function findBestPoi({ lat, lng, userId, lang = "en" }) {
     shouldSpeak: true,
     reason: "fallback_anchor",
     distanceMetersApprox: 0,
-    poi: { key: anchorPoi.key, label: anchorPoi.label, source: anchorPoi.source },
+    relativePosition: null,
+    motion: motionOut,
+    poi: {
+      key: anchorPoi.key,
+      label: anchorPoi.label,
+      source: anchorPoi.source,
+      relativePosition: null,
+    },
     poiWithFacts: anchorPoi,
+    skippedRecentlyServed: skippedRecent,
+    debug: debugOut,
+  };
+}
+
+/**
+ * Route planning helpers (used by routeService.js).
+ * Same candidate discovery and fact building as findBestPoi, without the pick.
+ */
+export async function discoverPlaces({ lat, lng, lang = "en", radiusMeters = config.poiRadiusMeters, country = "" }) {
+  return placesNearby({ lat, lng, lang: normalizeLang(lang), radiusMeters, country });
+}
+
+export function scoreCandidate(place) {
+  return scorePlace(place);
+}
+
+export function candidatePoiKey(place) {
+  return placePoiKey(place);
+}
+
+export function candidateSource(place) {
+  return providerLabels(place).source;
+}
+
+/**
+ * Build a POI with facts for a place as seen from (lat, lng) while travelling at headingDeg.
+ * Street "person facts" are skipped: the street at the trigger point is not the place's street.
+ */
+export async function describePlace({ place, lat, lng, headingDeg = null, lang = "en" }) {
+  const l = normalizeLang(lang);
+  const anchor = await reverseGeocode({ lat, lng, lang: l });
+  const position = relativePosition({
+    lat,
+    lng,
+    location: place.location,
+    motion: { headingDeg, speedMps: null },
+    lang: l,
+  });
+
+  const poi = buildPoiFromPlace(place, lat, lng, l, anchor, position);
+  await collectFacts(
+    {
+      poi,
+      place,
+      lat: place.location.lat,
+      lng: place.location.lng,
+      lang: l,
+      anchor,
+    },
+    { exclude: ["streetPerson"] }
+  );
+
+  return poi;
+}
+
+/**
+ * Debug listing for GET /places: raw Google Places candidates around a point,
+ * nearest first, with the score and key findBestPoi would use.
+ */
+export async function listGooglePlaces({ lat, lng, lang = "en", radiusMeters = config.poiRadiusMeters }) {
+  const l = normalizeLang(lang);
+  if (!placesKey()) return { configured: false, places: [] };
+
+  const places = await googlePlacesNearby({ lat, lng, lang: l, radiusMeters });
+  return {
+    configured: true,
+    places: places
+      .map((p) => ({
+        key: placePoiKey(p),
+        name: p.name,
+        types: p.types,
+        rating: p.rating,
+        userRatingsTotal: p.userRatingsTotal,
+        vicinity: p.vicinity,
+        location: p.location,
+        distanceMeters: Math.round(metersBetween(lat, lng, p.location.lat, p.location.lng)),
+        score: Number(scorePlace(p).toFixed(3)),
+        genericName: isGenericPoiName(p.name, l),
+      }))
+      .sort((a, b) => a.distanceMeters - b.distanceMeters),
   };
 }
@@ -0,0 +1,142 @@
+/**
+ * providers.js (ESM)
+ *
+ * Provider registry for each pipeline stage.
+ *
+ * Stages and the interface a provider implements:
+ * - geocode: { reverseGeocode({ lat, lng, lang }) => anchor | null }
+ * - places:  { nearby({ lat, lng, lang, radiusMeters }) => candidates[] }
+ * - facts:   { collect({ poi, place, lat, lng, lang, anchor }) => { facts?: string[], sources?: object, patch?: object } | null }
+ *            (sources: fact text -> { provider, url }, for story citations)
+ * - llm:     { chat({ system, user, lang, json }) => string }   (json: answer with one JSON object)
+ * - tts:     { synthesize(text, { lang, instructions }) => Buffer }   (MP3 bytes; instructions = delivery hint, optional)
+ *
+ * Services register their built-in providers at import time (poiService, llm, tts);
+ * fakeProviders.js registers deterministic "fake" providers for local runs; server.js imports it
+ * only when a PROVIDERS_* setting or PROVIDER_OVERRIDES names "fake" (isProviderConfigured).
+ *
+ * Config decides order and what is enabled (leave a name out to disable it):
+ *   PROVIDERS_GEOCODE=google,osm
+ *   PROVIDERS_PLACES=google,osm
+ *   PROVIDERS_FACTS=linked,wikiNearby,streetPerson
+ *   PROVIDERS_LLM=openai            (or mock: deterministic, offline; see llm.js)
+ *   PROVIDERS_TTS=openai
+ *   PROVIDER_OVERRIDES={"lang:he":{"geocode":"osm,google"},"country:IL":{"places":["osm","google"]}}
+ * Override precedence: country > lang > default.
+ */
+
+import { config } from "./config.js";
+import { makeLogger } from "./utils.js";
+
+const log = makeLogger("providers");
+
+export const STAGES = ["geocode", "places", "facts", "llm", "tts"];
+
+const registry = new Map(STAGES.map((s) => [s, new Map()]));
+const warnedUnknown = new Set();
+
+function assertStage(stage) {
+  if (!registry.has(stage)) throw new Error(`Unknown provider stage: ${stage}`);
+}
+
+export function registerProvider(stage, name, impl) {
+  assertStage(stage);
+  const n = String(name || "").trim();
+  if (!n || !impl || typeof impl !== "object") {
+    throw new Error(`Invalid provider registration for ${stage}`);
+  }
+  registry.get(stage).set(n, impl);
+}
+
+export function listProviders(stage) {
+  assertStage(stage);
+  return Array.from(registry.get(stage).keys());
+}
+
+function parseList(v) {
+  const arr = Array.isArray(v) ? v : String(v || "").split(",");
+  return arr.map((x) => String(x).trim()).filter(Boolean);
+}
+
+let overridesCache = null;
+
+function overrides() {
+  if (overridesCache) return overridesCache;
+  overridesCache = {};
+  if (!config.providerOverrides) return overridesCache;
+  try {
+    const parsed = JSON.parse(config.providerOverrides);
+    if (parsed && typeof parsed === "object") overridesCache = parsed;
+  } catch (e) {
+    log.warn("PROVIDER_OVERRIDES is not valid JSON, ignoring:", e?.message || e);
+  }
+  return overridesCache;
+}
+
+/**
+ * Configured provider names for a stage, after per-language / per-country overrides.
+ */
+export function configuredProviderNames(stage, { lang = "", country = "" } = {}) {
+  assertStage(stage);
+  const o = overrides();
+  const l = String(lang || "").toLowerCase().slice(0, 2);
+  const c = String(country || "").toUpperCase();
+
+  const byCountry = c ? o[`country:${c}`]?.[stage] : null;
+  const byLang = l ? o[`lang:${l}`]?.[stage] : null;
+  return parseList(byCountry ?? byLang ?? config.providers?.[stage] ?? "");
+}
+
+/**
+ * True when any stage names this provider, in PROVIDERS_* or in PROVIDER_OVERRIDES.
+ */
+export function isProviderConfigured(name) {
+  const lists = [
+    ...Object.values(config.providers || {}),
+    ...Object.values(overrides()).flatMap((o) => (o && typeof o === "object" ? Object.values(o) : [])),
+  ];
+  return lists.some((v) => parseList(v).includes(name));
+}
+
+/**
+ * Enabled providers for a stage, in fallback order: [{ name, impl }].
+ */
+export function resolveProviders(stage, ctx = {}) {
+  const stageMap = registry.get(stage);
+  const out = [];
+  for (const name of configuredProviderNames(stage, ctx)) {
+    const impl = stageMap.get(name);
+    if (!impl) {
+      const k = `${stage}:${name}`;
+      if (!warnedUnknown.has(k)) {
+        warnedUnknown.add(k);
+        log.warn(`No ${stage} provider named "${name}" (registered: ${listProviders(stage).join(", ") || "none"})`);
+      }
+      continue;
+    }
+    out.push({ name, impl });
+  }
+  return out;
+}
+
+/**
+ * Try providers in order until one returns a non-null result.
+ * Errors are logged and the next provider is tried; if every provider threw, the last error is rethrown.
+ */
+export async function firstProviderResult(stage, ctx, fn) {
+  const providers = resolveProviders(stage, ctx);
+  let lastErr = null;
+
+  for (const { name, impl } of providers) {
+    try {
+      const r = await fn(impl, name);
+      if (r != null) return r;
+    } catch (e) {
+      lastErr = e;
+      log.warn(`${stage} provider "${name}" failed:`, e?.message || e);
+    }
+  }
+
+  if (lastErr) throw lastErr;
+  return null;
+}
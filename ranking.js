@@ -0,0 +1,137 @@
+/**
+ * ranking.js (ESM)
+ *
+ * Personal part of candidate ranking in findBestPoi. A candidate's final score is
+ *
+ *   RANK_WEIGHT_SCORE * (scorePlace + alignment)   same for every user
+ * + RANK_WEIGHT_TASTE * taste                      topic affinities + style, -1..1
+ * + RANK_WEIGHT_DISTANCE * distance                1 at the user, 0 at the search radius
+ * + RANK_WEIGHT_NOVELTY * novelty                  1 never heard, 1/(1+n) after n stories
+ *
+ * Candidates whose main topic the user clearly dislikes (RANK_EXCLUDE_AFFINITY) are dropped.
+ * Without a taste profile the taste part is 0 and ranking is the same as before plus distance/novelty.
+ */
+
+import { config } from "./config.js";
+import { getServedPoiCounts } from "./db.js";
+import { makeLogger } from "./utils.js";
+import { poiTopics } from "./topics.js";
+
+const log = makeLogger("ranking");
+
+// Place types a "nerdy" listener leans toward (+1) or away from (-1).
+const LEARNING_TYPES = {
+  museum: 1,
+  library: 1,
+  historic: 1,
+  art_gallery: 1,
+  university: 1,
+  place_of_worship: 0.5,
+  cafe: -1,
+  restaurant: -1,
+  bar: -1,
+  bakery: -1,
+  meal_takeaway: -1,
+  amusement_park: -0.5,
+};
+
+// Neutral nerdy level (the default taste); style pushes only as far as the user is from it.
+const NERDY_NEUTRAL = 0.35;
+
+function clamp(n, lo, hi) {
+  return Math.max(lo, Math.min(hi, n));
+}
+
+function round3(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+export function rankWeights() {
+  return {
+    score: config.rankWeightScore,
+    taste: config.rankWeightTaste,
+    distance: config.rankWeightDistance,
+    novelty: config.rankWeightNovelty,
+  };
+}
+
+/**
+ * Taste match of a place: weighted average of topic affinities, plus a style nudge for
+ * nerdy users. Returns { taste, topicAffinity, style, excludedTopic }.
+ */
+export function tasteMatch(place, taste) {
+  const topics = poiTopics({ types: place?.types });
+  const affinities = taste?.topics || {};
+
+  let sum = 0;
+  let weight = 0;
+  let excludedTopic = null;
+  for (const [topic, w] of Object.entries(topics)) {
+    const a = Number(affinities[topic]) || 0;
+    sum += w * a;
+    weight += w;
+    if (w >= 1 && a <= config.rankExcludeAffinity) excludedTopic = topic;
+  }
+  const topicAffinity = weight ? sum / weight : 0;
+
+  const learning = (place?.types || []).reduce((best, t) => {
+    const v = LEARNING_TYPES[t] ?? 0;
+    return Math.abs(v) > Math.abs(best) ? v : best;
+  }, 0);
+  const nerdy = Number.isFinite(Number(taste?.nerdy)) ? Number(taste.nerdy) : NERDY_NEUTRAL;
+  const style = taste ? (nerdy - NERDY_NEUTRAL) * 2 * learning : 0;
+
+  return {
+    taste: clamp(topicAffinity + style, -1, 1),
+    topicAffinity: round3(topicAffinity),
+    style: round3(style),
+    excludedTopic,
+  };
+}
+
+// Stories this user already got per candidate key (novelty window); {} without a DB or user.
+export async function servedCounts(userId, keys) {
+  if (!userId || !keys.length || config.rankWeightNovelty === 0) return {};
+  try {
+    return await getServedPoiCounts({ userId, poiKeys: keys, withinDays: config.rankNoveltyDays });
+  } catch (e) {
+    log.warn("getServedPoiCounts failed:", e?.message || e);
+    return {};
+  }
+}
+
+/**
+ * Final score of one candidate.
+ * base = scorePlace + alignment; returns { score, contributions, personal, excludedTopic }.
+ */
+export function personalScore({ place, base, taste, distanceMeters, radiusMeters, servedCount = 0 }) {
+  const w = rankWeights();
+  const match = tasteMatch(place, taste);
+  const distance = radiusMeters > 0 ? 1 - clamp(distanceMeters / radiusMeters, 0, 1) : 0;
+  const novelty = 1 / (1 + Math.max(0, servedCount));
+
+  const contributions = {
+    score: w.score * base,
+    taste: w.taste * match.taste,
+    distance: w.distance * distance,
+    novelty: w.novelty * novelty,
+  };
+  const score = Object.values(contributions).reduce((a, b) => a + b, 0);
+
+  const rounded = {};
+  for (const [k, v] of Object.entries(contributions)) rounded[k] = round3(v);
+
+  return {
+    score,
+    contributions: rounded,
+    personal: {
+      taste: round3(match.taste),
+      topicAffinity: match.topicAffinity,
+      style: match.style,
+      distance: round3(distance),
+      novelty: round3(novelty),
+      servedCount,
+    },
+    excludedTopic: match.excludedTopic,
+  };
+}
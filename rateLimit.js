@@ -0,0 +1,197 @@
+/**
+ * rateLimit.js (ESM)
+ *
+ * Request throttling and daily spend budgets, keyed by the token's userId (else client IP).
+ *
+ * - rateLimit(group): token bucket per key, RATE_LIMIT_<GROUP>_PER_MIN requests per minute.
+ * - dailyBudget(): refuses requests once today's (UTC) LLM tokens, TTS characters
+ *   or Places calls for the key passed BUDGET_*_PER_DAY.
+ * - chargeBudget(kind, amount): called where money is spent (OpenAI chat/TTS, Google Places);
+ *   the key comes from the request context, so background work (route warming) is charged too.
+ *
+ * Both answer 429 with Retry-After (seconds) and a JSON body with shouldSpeak:false,
+ * so the app can treat it like any other "nothing to say" response.
+ *
+ * In-memory, per process: limits are per instance when running more than one.
+ */
+
+import { config } from "./config.js";
+import { makeLogger } from "./utils.js";
+import { getRequestContext } from "./requestContext.js";
+import { counter } from "./metrics.js";
+
+const log = makeLogger("rateLimit");
+
+const rateLimited = counter(
+  "btw_rate_limited_total",
+  "Requests refused with 429, by endpoint group and cause (rate, budget).",
+  ["group", "cause"]
+);
+
+const PER_MIN = {
+  story: () => config.rateLimitStoryPerMin,
+  feedback: () => config.rateLimitFeedbackPerMin,
+  taste: () => config.rateLimitTastePerMin,
+  auth: () => config.rateLimitAuthPerMin,
+  trip: () => config.rateLimitTripPerMin,
+};
+
+const BUDGET_LIMITS = {
+  llmTokens: () => config.budgetLlmTokensPerDay,
+  ttsChars: () => config.budgetTtsCharsPerDay,
+  placesCalls: () => config.budgetPlacesCallsPerDay,
+};
+
+const buckets = new Map(); // `${group}|${key}` -> { tokens, updatedAt }
+const spend = new Map(); // key -> { day, llmTokens, ttsChars, placesCalls }
+
+// userId when auth.js verified it from a token, else the client IP (see TRUST_PROXY): a legacy
+// userId comes from the request itself, and a fresh one per request would reset every limit.
+export function rateLimitKey(req) {
+  if (req.auth === "token" && req.userId) return `u:${String(req.userId).slice(0, 128)}`;
+  return `ip:${req.ip || req.socket?.remoteAddress || "unknown"}`;
+}
+
+function tooMany(res, { group, cause, retryAfterSeconds, details = null }) {
+  rateLimited.inc({ group, cause });
+  res.setHeader("Retry-After", String(retryAfterSeconds));
+  return res.status(429).json({
+    version: config.version,
+    shouldSpeak: false,
+    reason: cause === "budget" ? "daily_budget_exceeded" : "rate_limited",
+    error: cause === "budget" ? "Daily budget exceeded" : "Too many requests",
+    retryAfterSeconds,
+    details,
+  });
+}
+
+/**
+ * Token bucket: capacity = limit, refilled continuously at limit/60 tokens per second.
+ * Returns 0 when a token was taken, else seconds until one is available.
+ */
+function take(group, key, perMin) {
+  const now = Date.now();
+  const k = `${group}|${key}`;
+  const rate = perMin / 60000; // tokens per ms
+  const b = buckets.get(k) || { tokens: perMin, updatedAt: now };
+
+  b.tokens = Math.min(perMin, b.tokens + (now - b.updatedAt) * rate);
+  b.updatedAt = now;
+  buckets.set(k, b);
+
+  if (b.tokens >= 1) {
+    b.tokens -= 1;
+    return 0;
+  }
+  return Math.max(1, Math.ceil((1 - b.tokens) / rate / 1000));
+}
+
+export function rateLimit(group) {
+  if (!PER_MIN[group]) throw new Error(`Unknown rate limit group: ${group}`);
+
+  return (req, res, next) => {
+    const perMin = PER_MIN[group]();
+    if (!perMin || perMin <= 0) return next();
+
+    const key = rateLimitKey(req);
+    const wait = take(group, key, perMin);
+    if (!wait) return next();
+
+    log.warn(`rate limited (${group}):`, key);
+    return tooMany(res, { group, cause: "rate", retryAfterSeconds: wait });
+  };
+}
+
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function secondsUntilUtcMidnight() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((next - now.getTime()) / 1000));
+}
+
+function usageFor(key) {
+  const day = utcDay();
+  let u = spend.get(key);
+  if (!u || u.day !== day) {
+    u = { day, llmTokens: 0, ttsChars: 0, placesCalls: 0 };
+    spend.set(key, u);
+  }
+  return u;
+}
+
+// Budgets already used up for a key: [{ kind, used, limit }].
+export function exceededBudgets(key) {
+  const u = usageFor(key);
+  const out = [];
+  for (const [kind, limitFn] of Object.entries(BUDGET_LIMITS)) {
+    const limit = limitFn();
+    if (limit > 0 && u[kind] >= limit) out.push({ kind, used: u[kind], limit });
+  }
+  return out;
+}
+
+/**
+ * Middleware: remembers the key for chargeBudget and refuses the request
+ * when any daily budget is already spent. The request that crosses a limit completes;
+ * the next one is refused.
+ */
+export function dailyBudget(group = "story") {
+  return (req, res, next) => {
+    const key = rateLimitKey(req);
+    const ctx = getRequestContext();
+    if (ctx) ctx.budgetKey = key;
+
+    const over = exceededBudgets(key);
+    if (!over.length) return next();
+
+    log.warn("daily budget exceeded:", key, over.map((o) => o.kind).join(","));
+    return tooMany(res, {
+      group,
+      cause: "budget",
+      retryAfterSeconds: secondsUntilUtcMidnight(),
+      details: { exceeded: over },
+    });
+  };
+}
+
+/**
+ * Count spend against the current request's key. No-op outside a budgeted request.
+ * @param {"llmTokens"|"ttsChars"|"placesCalls"} kind
+ */
+export function chargeBudget(kind, amount) {
+  const ctx = getRequestContext();
+  const n = Number(amount);
+  if (!ctx || !BUDGET_LIMITS[kind] || !Number.isFinite(n) || n <= 0) return;
+  ctx.spent = ctx.spent || {};
+  ctx.spent[kind] = (ctx.spent[kind] || 0) + n;
+  if (ctx.budgetKey) usageFor(ctx.budgetKey)[kind] += n;
+}
+
+// What the current request has charged so far (0 outside a request).
+export function requestSpend(kind) {
+  return getRequestContext()?.spent?.[kind] || 0;
+}
+
+// True when the current request's key has used up a daily budget (checked by long loops).
+export function budgetExhausted(kind) {
+  const key = getRequestContext()?.budgetKey;
+  if (!key) return false;
+  return exceededBudgets(key).some((o) => !kind || o.kind === kind);
+}
+
+// Drop refilled buckets and previous days' spend so the maps don't grow without bound.
+function sweep() {
+  const now = Date.now();
+  for (const [k, b] of buckets) {
+    if (now - b.updatedAt > 10 * 60 * 1000) buckets.delete(k);
+  }
+  const today = utcDay(now);
+  for (const [k, u] of spend) {
+    if (u.day !== today) spend.delete(k);
+  }
+}
+
+setInterval(sweep, 5 * 60 * 1000).unref();
@@ -0,0 +1,78 @@
+/**
+ * recapService.js (ESM)
+ *
+ * End-of-drive recap: the places a user was told about, narrated as one short text
+ * (generateRecap in storyService.js) and optionally spoken (tts.js).
+ *
+ * Places come from a trip's served events (tripService.js), or from story_logs over a time
+ * range for users who do not start trips; those have names and map links but no facts.
+ *
+ * An ended trip's places no longer change, so its recap (and audio, once asked for) is cached
+ * per trip, language and taste bucket for RECAP_CACHE_TTL_MS; active trips are always rebuilt.
+ */
+
+import { config } from "./config.js";
+import { getServedStoryLogs } from "./db.js";
+import { poiKeyUrl } from "./poiService.js";
+import { generateRecap } from "./storyService.js";
+import { storyStyle } from "./storyStyle.js";
+import { tasteBucket } from "./storyCache.js";
+import { tripPlaces } from "./tripService.js";
+import { audioToBase64, getTtsContentType, synthesizeTts } from "./tts.js";
+import { cacheGet, cacheSet } from "./utils.js";
+
+// Places from story_logs rows, in order, once each (same shape as tripPlaces).
+export async function storyLogPlaces({ userId, from, to }) {
+  const rows = await getServedStoryLogs({ userId, from, to, limit: 100 });
+  const seen = new Set();
+  const out = [];
+  for (const r of rows) {
+    if (seen.has(r.poiKey)) continue;
+    seen.add(r.poiKey);
+    out.push({ poiKey: r.poiKey, label: r.poiName, servedAt: r.createdAt, facts: [], links: [] });
+  }
+  return out;
+}
+
+async function recapAudio(recap, { taste, lang }) {
+  const buf = await synthesizeTts(recap.text, { lang, instructions: storyStyle(taste).ttsInstructions });
+  return { contentType: getTtsContentType(), base64: audioToBase64(buf), bytes: buf.length };
+}
+
+/**
+ * Recap of a list of places. Without places there is nothing to narrate: recap is null.
+ * @returns {Promise<{ recap: {text:string, sentences:object[], fallback:boolean}|null, places: object[], audio: {contentType:string, base64:string, bytes:number}|null }>}
+ */
+export async function buildRecap({ places, taste, lang, tts = false }) {
+  const list = places.map((p) => ({
+    poiKey: p.poiKey,
+    name: p.label,
+    servedAt: p.servedAt,
+    facts: p.facts,
+    links: [...new Set([poiKeyUrl(p.poiKey), ...p.links].filter(Boolean))],
+  }));
+  if (!list.length) return { recap: null, places: list, audio: null };
+
+  const recap = await generateRecap({ places, taste, lang });
+  return { recap, places: list, audio: tts ? await recapAudio(recap, { taste, lang }) : null };
+}
+
+/**
+ * Recap of a trip (buildRecap), cached once the trip has ended. A cached recap without audio
+ * gets its audio added (and cached) the first time tts is asked for.
+ */
+export async function tripRecap({ state, taste, lang, tts = false }) {
+  const places = tripPlaces(state);
+  if (!state.trip.endedAt) return buildRecap({ places, taste, lang, tts });
+
+  const key = `recap:${state.trip.id}:${lang}:${tasteBucket(taste)}`;
+  let r = cacheGet(key);
+  if (!r) {
+    r = await buildRecap({ places, taste, lang, tts });
+    cacheSet(key, r, config.recapCacheTtlMs);
+  } else if (tts && r.recap && !r.audio) {
+    r = { ...r, audio: await recapAudio(r.recap, { taste, lang }) };
+    cacheSet(key, r, config.recapCacheTtlMs);
+  }
+  return tts ? r : { ...r, audio: null };
+}
@@ -0,0 +1,71 @@
+/**
+ * requestContext.js (ESM)
+ *
+ * Per-request context (request id + stage timings) carried through async calls
+ * with AsyncLocalStorage, so services don't have to thread it through arguments.
+ *
+ * - makeLogger prefixes lines with the request id.
+ * - Outbound HTTP (fetchJson/fetchText, OpenAI) sends it as X-Request-Id.
+ * - timeStage() adds elapsed ms per stage; server.js stores them in story_logs.
+ */
+
+import crypto from "crypto";
+import { AsyncLocalStorage } from "async_hooks";
+
+const als = new AsyncLocalStorage();
+
+const REQUEST_ID_RE = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export function getRequestContext() {
+  return als.getStore() || null;
+}
+
+export function getRequestId() {
+  return als.getStore()?.requestId || null;
+}
+
+/**
+ * Express middleware: accept X-Request-Id (if sane) or generate one, echo it back,
+ * and run the rest of the request inside its context.
+ */
+export function requestContextMiddleware(req, res, next) {
+  const given = String(req.get("x-request-id") || "").trim();
+  const requestId = REQUEST_ID_RE.test(given) ? given : crypto.randomUUID();
+
+  req.requestId = requestId;
+  res.setHeader("X-Request-Id", requestId);
+
+  als.run({ requestId, timings: {} }, () => next());
+}
+
+// Headers to add to outbound calls (empty outside a request).
+export function requestIdHeaders() {
+  const id = getRequestId();
+  return id ? { "X-Request-Id": id } : {};
+}
+
+/**
+ * Run fn and add its elapsed time to the current request's timings[stage] (ms).
+ * Repeated stages accumulate. Outside a request this is just fn().
+ */
+export async function timeStage(stage, fn) {
+  const ctx = als.getStore();
+  if (!ctx) return fn();
+
+  const started = performance.now();
+  try {
+    return await fn();
+  } finally {
+    const ms = performance.now() - started;
+    ctx.timings[stage] = (ctx.timings[stage] || 0) + ms;
+  }
+}
+
+// Snapshot of the timings recorded so far, in whole ms.
+export function getStageTimings() {
+  const ctx = als.getStore();
+  if (!ctx) return {};
+  const out = {};
+  for (const [k, v] of Object.entries(ctx.timings)) out[k] = Math.round(v);
+  return out;
+}
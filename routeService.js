@@ -0,0 +1,299 @@
+/**
+ * routeService.js (ESM)
+ *
+ * Route pre-planning: precompute "story triggers" along a drive.
+ *
+ * Strategy:
+ * 1) Decode the route (Google encoded polyline or waypoint list).
+ * 2) Sample it every routeSampleMeters and run candidate discovery at each sample.
+ * 3) De-duplicate places across samples and project each onto the route
+ *    (distance along route + lateral offset); drop what is outside the corridor.
+ *    Sampling stops early once the plan has made ROUTE_MAX_PLACES_CALLS Places calls or the
+ *    caller's daily Places budget is spent; the plan then covers the route up to there.
+ * 4) Greedy pick by score (shared score + the listener's taste, ranking.js) with a minimum
+ *    spacing so stories do not overlap. Disliked topics are dropped as in findBestPoi.
+ * 5) Trigger coordinate = routeTriggerLeadMeters before the closest approach,
+ *    so the story starts before the driver passes the place.
+ */
+
+import { config } from "./config.js";
+import {
+  HttpError,
+  metersBetween,
+  bearingBetween,
+  optionalFiniteNumber,
+  makeLogger,
+} from "./utils.js";
+import {
+  discoverPlaces,
+  scoreCandidate,
+  candidatePoiKey,
+  candidateSource,
+  describePlace,
+} from "./poiService.js";
+import { personalScore } from "./ranking.js";
+import { budgetExhausted, requestSpend } from "./rateLimit.js";
+
+const log = makeLogger("routeService");
+
+/**
+ * Decode a Google encoded polyline (precision 5) into [{ lat, lng }].
+ */
+export function decodePolyline(encoded) {
+  const str = String(encoded || "");
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  while (index < str.length) {
+    let result = 0;
+    let shift = 0;
+    let b;
+    do {
+      b = str.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20 && index < str.length);
+    lat += result & 1 ? ~(result >> 1) : result >> 1;
+
+    result = 0;
+    shift = 0;
+    do {
+      b = str.charCodeAt(index++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20 && index < str.length);
+    lng += result & 1 ? ~(result >> 1) : result >> 1;
+
+    points.push({ lat: lat / 1e5, lng: lng / 1e5 });
+  }
+
+  return points;
+}
+
+function normalizeWaypoints(list) {
+  const out = [];
+  for (const w of Array.isArray(list) ? list : []) {
+    const lat = optionalFiniteNumber(Array.isArray(w) ? w[0] : w?.lat ?? w?.latitude);
+    const lng = optionalFiniteNumber(Array.isArray(w) ? w[1] : w?.lng ?? w?.lon ?? w?.longitude);
+    if (lat === null || lng === null) continue;
+    if (Math.abs(lat) > 90 || Math.abs(lng) > 180) continue;
+    out.push({ lat, lng });
+  }
+  return out;
+}
+
+/**
+ * Accepts { polyline } or { waypoints } and returns route points with cumulative distance.
+ */
+export function parseRoute({ polyline, waypoints }) {
+  const raw = polyline ? decodePolyline(polyline) : normalizeWaypoints(waypoints);
+
+  const points = [];
+  let along = 0;
+  for (const p of raw) {
+    const last = points[points.length - 1];
+    if (last) {
+      const d = metersBetween(last.lat, last.lng, p.lat, p.lng);
+      if (d < 1) continue; // duplicate fix
+      along += d;
+    }
+    points.push({ lat: p.lat, lng: p.lng, along });
+  }
+
+  if (points.length < 2) {
+    throw new HttpError(400, "Route needs a polyline or at least 2 waypoints");
+  }
+
+  return { points, lengthMeters: along };
+}
+
+// Point on the route at a given distance along it.
+function pointAt(points, along) {
+  const target = Math.max(0, Math.min(along, points[points.length - 1].along));
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (b.along < target) continue;
+    const seg = b.along - a.along;
+    const k = seg > 0 ? (target - a.along) / seg : 0;
+    return {
+      lat: a.lat + (b.lat - a.lat) * k,
+      lng: a.lng + (b.lng - a.lng) * k,
+      along: target,
+      headingDeg: bearingBetween(a.lat, a.lng, b.lat, b.lng),
+    };
+  }
+  const a = points[points.length - 2];
+  const b = points[points.length - 1];
+  return { lat: b.lat, lng: b.lng, along: b.along, headingDeg: bearingBetween(a.lat, a.lng, b.lat, b.lng) };
+}
+
+function sampleRoute(points, lengthMeters) {
+  // Keep the number of discovery calls bounded on long drives by widening the spacing.
+  const spacing = Math.max(
+    config.routeSampleMeters,
+    lengthMeters / Math.max(1, config.routeMaxSamples - 1)
+  );
+
+  const samples = [];
+  for (let d = 0; d <= lengthMeters; d += spacing) samples.push(pointAt(points, d));
+  if (!samples.length || samples[samples.length - 1].along < lengthMeters) {
+    samples.push(pointAt(points, lengthMeters));
+  }
+  return { samples, spacing };
+}
+
+/**
+ * Closest approach of a location to the route, using a local equirectangular projection
+ * (good enough at corridor scale).
+ */
+function projectOntoRoute(points, loc) {
+  const mPerLat = 110540;
+  const mPerLng = 111320 * Math.cos((loc.lat * Math.PI) / 180);
+  const toXY = (p) => ({ x: (p.lng - loc.lng) * mPerLng, y: (p.lat - loc.lat) * mPerLat });
+
+  let best = null;
+  for (let i = 1; i < points.length; i++) {
+    const a = toXY(points[i - 1]);
+    const b = toXY(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const len2 = dx * dx + dy * dy;
+    const k = len2 > 0 ? Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / len2)) : 0;
+    const px = a.x + dx * k;
+    const py = a.y + dy * k;
+    const offset = Math.sqrt(px * px + py * py);
+
+    if (!best || offset < best.offset) {
+      const segLen = points[i].along - points[i - 1].along;
+      // Cross product sign: positive means the place is to the left of travel direction.
+      const cross = dx * -a.y - dy * -a.x;
+      best = {
+        offset,
+        along: points[i - 1].along + segLen * k,
+        side: Math.abs(cross) < 1e-9 ? null : cross > 0 ? "left" : "right",
+      };
+    }
+  }
+  return best;
+}
+
+/**
+ * Plan story triggers along a route.
+ * pois: full POI objects for the triggers (for story cache warming; not meant for the response).
+ * truncated: null, or "places_cap" / "daily_budget" when sampling stopped before the route's end.
+ * @returns {Promise<{lengthMeters:number, samples:number, sampledMeters:number, truncated:string|null, sampleSpacingMeters:number, candidates:number, triggers:Array, pois:Array}>}
+ */
+export async function planRoute({ polyline, waypoints, lang = "en", taste = null, includeFacts = true }) {
+  const { points, lengthMeters } = parseRoute({ polyline, waypoints });
+  const { samples, spacing } = sampleRoute(points, lengthMeters);
+
+  // 1) Candidate discovery per sample, de-duplicated by POI key.
+  const byKey = new Map();
+  const startCalls = requestSpend("placesCalls");
+  let sampled = 0;
+  let truncated = null;
+  for (const s of samples) {
+    if (config.routeMaxPlacesCalls > 0 && requestSpend("placesCalls") - startCalls >= config.routeMaxPlacesCalls) {
+      truncated = "places_cap";
+    } else if (budgetExhausted("placesCalls")) {
+      truncated = "daily_budget";
+    }
+    if (truncated) {
+      log.warn(`route sampling stopped (${truncated}) after ${sampled}/${samples.length} samples`);
+      break;
+    }
+    sampled += 1;
+
+    const found = await discoverPlaces({
+      lat: s.lat,
+      lng: s.lng,
+      lang,
+      radiusMeters: config.poiRadiusMeters,
+    });
+    for (const p of found) {
+      if (!p.placeId || !p.location) continue;
+      const key = candidatePoiKey(p);
+      if (!byKey.has(key)) byKey.set(key, p);
+    }
+  }
+
+  // 2) Project onto the route and keep the corridor; distance is the offset from the route.
+  const projected = [];
+  for (const place of byKey.values()) {
+    const proj = projectOntoRoute(points, place.location);
+    if (!proj || proj.offset > config.routeCorridorMeters) continue;
+    const p = personalScore({
+      place,
+      base: scoreCandidate(place),
+      taste,
+      distanceMeters: proj.offset,
+      radiusMeters: config.routeCorridorMeters,
+    });
+    if (p.excludedTopic) continue;
+    projected.push({ place, proj, score: p.score });
+  }
+
+  // 3) Greedy pick by score with minimum spacing along the route.
+  projected.sort((a, b) => b.score - a.score);
+  const picked = [];
+  for (const c of projected) {
+    if (picked.length >= config.routeMaxTriggers) break;
+    const tooClose = picked.some(
+      (x) => Math.abs(x.proj.along - c.proj.along) < config.routeMinSpacingMeters
+    );
+    if (!tooClose) picked.push(c);
+  }
+  picked.sort((a, b) => a.proj.along - b.proj.along);
+
+  // 4) Trigger point and facts.
+  const triggers = [];
+  const pois = [];
+  for (const { place, proj, score } of picked) {
+    const trigger = pointAt(points, proj.along - config.routeTriggerLeadMeters);
+
+    let poi = null;
+    if (includeFacts) {
+      try {
+        poi = await describePlace({
+          place,
+          lat: trigger.lat,
+          lng: trigger.lng,
+          headingDeg: trigger.headingDeg,
+          lang,
+        });
+      } catch (e) {
+        log.warn("describePlace failed:", candidatePoiKey(place), e?.message || e);
+      }
+    }
+    if (poi) pois.push(poi);
+
+    triggers.push({
+      poiKey: poi?.key || candidatePoiKey(place),
+      label: poi?.label || place.name,
+      source: poi?.source || candidateSource(place),
+      location: place.location,
+      trigger: { lat: trigger.lat, lng: trigger.lng },
+      distanceAlongRouteMeters: Math.round(trigger.along),
+      closestApproachAlongRouteMeters: Math.round(proj.along),
+      offsetMeters: Math.round(proj.offset),
+      side: proj.side,
+      score: Math.round(score * 100) / 100,
+      relativePosition: poi?.relativePosition ?? null,
+      facts: poi?.facts ?? [],
+    });
+  }
+
+  return {
+    lengthMeters: Math.round(lengthMeters),
+    samples: sampled,
+    sampledMeters: Math.round(sampled ? samples[sampled - 1].along : 0),
+    truncated,
+    sampleSpacingMeters: Math.round(spacing),
+    candidates: byKey.size,
+    triggers,
+    pois,
+  };
+}
@@ -1,221 +1,318 @@
+/**
+ * routes.js (ESM)
+ *
+ * Feedback, taste snapshot, trip and debug routes, mounted by server.js.
+ * /api/debug/* needs the admin key (see admin.js).
+ * Story, audio and route planning live in server.js.
+ */
+
 import express from "express";
 
-import { CONFIG } from "./config.js";
-import { getUserKeyFromRequest, normalizeLanguage } from "./user.js";
+import { config } from "./config.js";
+import { insertFeedback, getRecentFeedback } from "./db.js";
+import { findBestPoi, listGooglePlaces } from "./poiService.js";
+import { isAdminRequest } from "./admin.js";
+import { rateLimit, dailyBudget } from "./rateLimit.js";
+import { requestUserId } from "./auth.js";
+import { getPolicyReport } from "./contentPolicy.js";
+import {
+  getOrCreateTasteProfile,
+  applyFeedback,
+  saveTasteProfile,
+  normalizeFeedbackTags,
+  feedbackTopics,
+  topicAffinities,
+} from "./tasteService.js";
+import { startTrip, getTripForUser, endTrip, tripSummary } from "./tripService.js";
+import { buildRecap, storyLogPlaces, tripRecap } from "./recapService.js";
+import { HttpError, makeLogger, assertFiniteNumber, optionalFiniteNumber, sha1 } from "./utils.js";
+
+const log = makeLogger("routes");
+
+function langFrom(v, fallback = "en") {
+  return String(v || fallback).toLowerCase().slice(0, 5);
+}
+
+function wantsFlag(v) {
+  return ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+}
 
-import { getNearbyPois } from "./poi/poiService.js";
-import { pickBestPoiForUser } from "./poi/picker.js";
+// ISO time (or epoch ms) from a query parameter; fallback when missing.
+function timeParam(v, name, fallback) {
+  if (v == null || v === "") return fallback;
+  const t = /^\d+$/.test(String(v)) ? new Date(Number(v)) : new Date(String(v));
+  if (Number.isNaN(t.getTime())) throw new HttpError(400, `Invalid ${name}`);
+  return t;
+}
 
-import { generateBtwStory } from "./story/storyGenerator.js";
-import { ttsWithOpenAI } from "./tts/tts.js";
+const RECAP_MAX_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Same audio fields as /api/story-both (inline base64); shouldSpeak=false when nothing was told.
+function recapBody({ lang, recap, places, audio }, extra = {}) {
+  return {
+    version: config.version,
+    lang,
+    ...extra,
+    shouldSpeak: Boolean(recap),
+    reason: recap ? "ok" : "no_stories",
+    recapText: recap?.text || "",
+    recap,
+    places,
+    audioBase64: audio?.base64 || "",
+    audioContentType: audio?.contentType || "",
+    audio,
+  };
+}
 
-import {
-  dbMarkHeard,
-  dbInsertFeedback,
-  dbGetRecentFeedback,
-  dbGetTasteProfile,
-} from "./db.js";
-import { updateTasteProfileFromFeedback } from "./taste/tasteModel.js";
+function sendError(res, where, err) {
+  log.error(`${where} error:`, err?.status, err?.message, err?.details || "");
+  const status = err?.status && Number.isFinite(err.status) ? err.status : 500;
+  return res.status(status).json({
+    version: config.version,
+    error: err?.message || "Server error",
+    details: err?.details || null,
+  });
+}
 
 export function createRoutes() {
   const router = express.Router();
 
-  // Health
-  router.get("/health", (req, res) => {
-    res.json({
-      status: "ok",
-      build: "btw-modular-wikipedia-strong-v1",
-    });
-  });
-
-  // Debug: places
-  router.get("/places", async (req, res) => {
+  // Debug: raw Google Places candidates around a point. Admin only: it spends Places quota.
+  router.get("/places", rateLimit("story"), dailyBudget("story"), async (req, res) => {
     try {
-      const { lat, lng, radius, mode, language } = req.query;
-
-      if (!lat || !lng) {
-        return res
-          .status(400)
-          .json({ error: "lat and lng query params are required" });
+      if (!isAdminRequest(req)) {
+        return res.status(403).json({ version: config.version, error: "Admin key required" });
       }
 
-      const radiusMeters = radius ? Number(radius) : 900;
-      const m = typeof mode === "string" ? mode : "interesting";
-      const lang = normalizeLanguage(typeof language === "string" ? language : "he");
+      const lat = assertFiniteNumber(req.query.lat, "lat");
+      const lng = assertFiniteNumber(req.query.lng ?? req.query.lon, "lng");
+      const radius = optionalFiniteNumber(req.query.radius);
+      const radiusMeters =
+        radius !== null ? Math.max(50, Math.min(5000, radius)) : config.poiRadiusMeters;
+      const lang = langFrom(req.query.lang ?? req.query.language);
+
+      const r = await listGooglePlaces({ lat, lng, lang, radiusMeters });
 
-      const pois = await getNearbyPois(
-        Number(lat),
-        Number(lng),
+      return res.status(200).json({
+        version: config.version,
+        lang,
         radiusMeters,
-        m,
-        lang
-      );
-      res.json({ pois });
+        configured: r.configured,
+        note: r.configured ? null : "GOOGLE_PLACES_API_KEY is not set",
+        pois: r.places,
+      });
     } catch (err) {
-      console.error("Error in /places:", err);
-      res.status(500).json({ error: "failed_to_fetch_places" });
+      return sendError(res, "places", err);
     }
   });
 
-  // Main API: story + audio
-  router.post("/api/story-both", async (req, res) => {
+  // Debug: why findBestPoi picked what it picked. Admin only; no story or audio is generated.
+  router.get("/api/debug/candidates", async (req, res) => {
     try {
-      const { lat, lng } = req.body;
-      const prompt =
-        typeof req.body?.prompt === "string" ? req.body.prompt : "";
-      const language = normalizeLanguage(req.body?.language);
-
-      const userKey = getUserKeyFromRequest(req);
-
-      if (typeof lat !== "number" || typeof lng !== "number") {
-        return res.json({ shouldSpeak: false, reason: "location_missing", language });
+      if (!isAdminRequest(req)) {
+        return res.status(403).json({ version: config.version, error: "Admin key required" });
       }
 
-      // Expanding radii
-      let best = null;
-      for (const r of CONFIG.RADIUS_STEPS) {
-        const pois = await getNearbyPois(lat, lng, r, "interesting", language);
-        best = await pickBestPoiForUser(pois, lat, lng, userKey, language);
-        if (best) break;
-      }
+      const lat = assertFiniteNumber(req.query.lat, "lat");
+      const lng = assertFiniteNumber(req.query.lng ?? req.query.lon, "lng");
+      const lang = langFrom(req.query.lang ?? req.query.language);
+      const userId = req.query.userId ? String(req.query.userId) : null;
+      const tasteProfileId = req.query.tasteProfileId ? String(req.query.tasteProfileId) : null;
 
-      if (!best || !best.poi) {
-        return res.json({ shouldSpeak: false, reason: "no_strong_poi", language });
-      }
+      // Rank as this user would see it (no profile is created for an anonymous debug call).
+      const taste =
+        userId || tasteProfileId
+          ? (await getOrCreateTasteProfile({ userId, tasteProfileId })).taste
+          : null;
 
-      // Generate story text (facts-first, more Wikipedia, longer)
-      const story = await generateBtwStory({
-        poi: best.poi,
-        distanceMetersExact: best.distanceMeters,
-        distanceMetersApprox: best.distanceMetersApprox,
-        language,
-        userKey,
-        prompt,
-        minWords: CONFIG.BTW_MIN_WORDS,
-        maxWords: CONFIG.BTW_MAX_WORDS,
-        facts: best.facts || [],
-        sources: best.sources || [],
+      const pick = await findBestPoi({
+        lat,
+        lng,
+        userId,
+        lang,
+        heading: optionalFiniteNumber(req.query.heading),
+        speed: optionalFiniteNumber(req.query.speed),
+        taste,
+        debug: true,
       });
 
-      if (!story?.text || typeof story.text !== "string" || story.text.trim() === "") {
-        return res.json({ shouldSpeak: false, reason: "model_no_story", language });
-      }
-
-      const storyText = story.text.trim();
-
-      // TTS
-      const { audioBase64, voiceId, voiceIndex, voiceKey } =
-        await ttsWithOpenAI(storyText, language);
-
-      // Mark heard
-      await dbMarkHeard(userKey, best.poi.id);
-
-      res.json({
-        shouldSpeak: true,
-        text: storyText,
-        audioBase64,
-        voiceId,
-        voiceIndex,
-        voiceKey,
-        language,
-
-        poiId: best.poi.id,
-        poiName: best.poi.name,
-        poiSource: best.poi.source,
-
-        distanceMetersApprox: best.distanceMetersApprox,
-        factsUsed: Array.isArray(story.factsUsed) ? story.factsUsed : [],
-        sources: Array.isArray(story.sources)
-          ? story.sources
-          : Array.isArray(best.sources)
-          ? best.sources
-          : [],
-
-        debug: story.debug || null,
+      return res.status(200).json({
+        version: config.version,
+        lang,
+        shouldSpeak: pick.shouldSpeak,
+        reason: pick.reason,
+        poi: pick.poi ?? null,
+        motion: pick.motion ?? null,
+        facts: pick.poiWithFacts?.facts ?? [],
+        skippedRecentlyServed: pick.skippedRecentlyServed ?? [],
+        debug: { ...pick.debug, policy: getPolicyReport() },
       });
     } catch (err) {
-      console.error("Error in /api/story-both:", err);
-      res.status(500).json({ error: "Internal server error" });
+      return sendError(res, "debug candidates", err);
     }
   });
 
-  // Feedback from client (like/dislike/rating/tags/note)
-  router.post("/api/feedback", async (req, res) => {
+  // Story feedback: like/dislike, 1-5 rating, tags, free-text note.
+  router.post("/api/feedback", rateLimit("feedback"), async (req, res) => {
     try {
-      const userKey = getUserKeyFromRequest(req);
+      const body = req.body || {};
+      const userId = requestUserId(req);
+      const tasteProfileId = body.tasteProfileId ? String(body.tasteProfileId) : null;
 
-      const poiId = typeof req.body?.poiId === "string" ? req.body.poiId.trim() : "";
-      const storyText = typeof req.body?.storyText === "string" ? req.body.storyText : "";
-      const liked = typeof req.body?.liked === "boolean" ? req.body.liked : null;
+      const poiKey = String(body.poiKey ?? body.poiId ?? "").trim();
+      if (!poiKey) {
+        return res.status(400).json({ version: config.version, error: "poiKey is required" });
+      }
 
-      const ratingRaw = req.body?.rating;
-      const rating =
-        typeof ratingRaw === "number" && Number.isFinite(ratingRaw)
-          ? Math.max(1, Math.min(5, Math.round(ratingRaw)))
-          : null;
+      const storyText = typeof body.storyText === "string" ? body.storyText : "";
+      const liked = typeof body.liked === "boolean" ? body.liked : null;
+      const ratingRaw = optionalFiniteNumber(body.rating);
+      const rating = ratingRaw !== null ? Math.max(1, Math.min(5, Math.round(ratingRaw))) : null;
+      const tags = normalizeFeedbackTags(body.tags);
+      const note = typeof body.note === "string" ? body.note.trim().slice(0, 800) || null : null;
+      const facts = Array.isArray(body.facts)
+        ? body.facts.map((f) => String(f)).slice(0, 60)
+        : [];
+      const poi = body.poi && typeof body.poi === "object" ? body.poi : null;
+
+      const { id: tpId, taste } = await getOrCreateTasteProfile({ userId, tasteProfileId });
+      const topics = await feedbackTopics({ userId, poiKey, poi });
+      const updated = applyFeedback(taste || {}, { liked, rating, tags, note, topics });
+      await saveTasteProfile(tpId, updated);
+
+      const storyHash = storyText ? sha1(storyText) : null;
+
+      try {
+        await insertFeedback({
+          userId,
+          tasteProfileId: tpId,
+          poiKey,
+          storyHash,
+          liked,
+          rating,
+          tags,
+          note,
+          data: { poi, facts, topics },
+        });
+      } catch (e) {
+        log.warn("insertFeedback failed:", e?.message || e);
+      }
 
-      const tags = Array.isArray(req.body?.tags)
-        ? req.body.tags
-            .map((t) => String(t).trim())
-            .filter(Boolean)
-            .slice(0, 12)
-        : null;
+      return res.status(200).json({
+        ok: true,
+        storyHash,
+        tasteProfileId: tpId,
+        taste: updated,
+      });
+    } catch (err) {
+      return sendError(res, "feedback", err);
+    }
+  });
 
-      const note =
-        typeof req.body?.note === "string"
-          ? req.body.note.trim().slice(0, 800)
-          : null;
+  // Taste profile snapshot (style + topic affinities) + recent feedback.
+  router.get("/api/taste", rateLimit("taste"), async (req, res) => {
+    try {
+      const userId = requestUserId(req);
+      const tasteProfileId = req.query.tasteProfileId ? String(req.query.tasteProfileId) : null;
+      if (!userId && !tasteProfileId) {
+        return res
+          .status(400)
+          .json({ version: config.version, error: "userId or tasteProfileId is required" });
+      }
 
-      const poi = req.body?.poi && typeof req.body.poi === "object" ? req.body.poi : null;
-      const facts = Array.isArray(req.body?.facts) ? req.body.facts.slice(0, 60) : [];
-
-      if (!poiId) return res.status(400).json({ error: "poiId is required" });
-      if (!storyText) return res.status(400).json({ error: "storyText is required" });
-
-      const storyHash = await updateTasteProfileFromFeedback({
-        userKey,
-        poiId,
-        storyText,
-        liked,
-        rating,
-        tags,
-        note,
-        poi,
-        facts,
+      const limit = optionalFiniteNumber(req.query.limit) ?? 50;
+      const { id: tpId, taste } = await getOrCreateTasteProfile({ userId, tasteProfileId });
+
+      const recentFeedback = await getRecentFeedback({
+        userId,
+        tasteProfileId: tpId,
+        limit,
+      }).catch((e) => {
+        log.warn("getRecentFeedback failed:", e?.message || e);
+        return [];
       });
 
-      await dbInsertFeedback({
-        userKey,
-        poiId,
-        storyHash,
-        liked,
-        rating,
-        tags,
-        note,
+      return res.status(200).json({
+        version: config.version,
+        userId,
+        tasteProfileId: tpId,
+        taste,
+        topics: topicAffinities(taste),
+        recentFeedback,
       });
+    } catch (err) {
+      return sendError(res, "taste", err);
+    }
+  });
 
-      res.json({ ok: true, storyHash });
+  // Start a trip; story requests then carry its id (see tripService.js).
+  router.post("/api/trips", rateLimit("trip"), async (req, res) => {
+    try {
+      const userId = requestUserId(req);
+      const tasteProfileId = req.body?.tasteProfileId ? String(req.body.tasteProfileId) : null;
+      const lang = langFrom(req.body?.lang ?? req.body?.language);
+
+      const state = await startTrip({ userId, tasteProfileId, lang });
+      return res.status(201).json({ ok: true, tripId: state.trip.id, trip: tripSummary(state) });
     } catch (err) {
-      console.error("Error in /api/feedback:", err);
-      res.status(500).json({ error: "Internal server error" });
+      return sendError(res, "trip start", err);
     }
   });
 
-  // Taste profile snapshot
-  router.get("/api/taste", async (req, res) => {
+  router.post("/api/trips/:id/end", rateLimit("trip"), async (req, res) => {
     try {
-      const userKey = getUserKeyFromRequest(req);
-      const profile = await dbGetTasteProfile(userKey);
-      const recentFeedback = await dbGetRecentFeedback(userKey, 50);
+      const state = await getTripForUser({ tripId: req.params.id, userId: requestUserId(req) });
+      await endTrip(state);
+      return res.status(200).json({ ok: true, tripId: state.trip.id, trip: tripSummary(state) });
+    } catch (err) {
+      return sendError(res, "trip end", err);
+    }
+  });
 
-      res.json({
-        userKey,
-        profile: profile || null,
-        recentFeedback,
+  // "Here's what you passed today" for a trip; ?tts=1 adds the spoken recap.
+  router.get("/api/trips/:id/recap", rateLimit("story"), dailyBudget("story"), async (req, res) => {
+    try {
+      const userId = requestUserId(req);
+      const state = await getTripForUser({ tripId: req.params.id, userId });
+      const lang = langFrom(req.query.lang ?? req.query.language, state.trip.lang);
+      const { taste } = await getOrCreateTasteProfile({
+        userId,
+        tasteProfileId: state.trip.tasteProfileId,
       });
+
+      const r = await tripRecap({ state, taste, lang, tts: wantsFlag(req.query.tts) });
+      return res
+        .status(200)
+        .json(recapBody({ lang, ...r }, { tripId: state.trip.id, trip: tripSummary(state) }));
+    } catch (err) {
+      return sendError(res, "trip recap", err);
+    }
+  });
+
+  // Recap without a trip: stories served to this user between from and to (default: last 24h).
+  router.get("/api/recap", rateLimit("story"), dailyBudget("story"), async (req, res) => {
+    try {
+      const userId = requestUserId(req);
+      if (!userId) {
+        return res.status(400).json({ version: config.version, error: "userId is required" });
+      }
+
+      const to = timeParam(req.query.to, "to", new Date());
+      const from = timeParam(req.query.from, "from", new Date(to.getTime() - 24 * 60 * 60 * 1000));
+      if (from > to || to - from > RECAP_MAX_RANGE_MS) {
+        throw new HttpError(400, "from must be before to, at most 7 days apart");
+      }
+
+      const lang = langFrom(req.query.lang ?? req.query.language);
+      const { taste } = await getOrCreateTasteProfile({ userId });
+      const places = await storyLogPlaces({ userId, from: from.toISOString(), to: to.toISOString() });
+
+      const r = await buildRecap({ places, taste, lang, tts: wantsFlag(req.query.tts) });
+      return res
+        .status(200)
+        .json(recapBody({ lang, ...r }, { from: from.toISOString(), to: to.toISOString() }));
     } catch (err) {
-      console.error("Error in /api/taste:", err);
-      res.status(500).json({ error: "Internal server error" });
+      return sendError(res, "recap", err);
     }
   });
 
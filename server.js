@@ -7,21 +7,119 @@ import express from "express";
 import cors from "cors";
 
 import { config } from "./config.js";
-import { initDb, logStory } from "./db.js";
-import { makeLogger, assertFiniteNumber } from "./utils.js";
+import { hasDb, initDb, logStory } from "./db.js";
+import {
+  makeLogger,
+  assertFiniteNumber,
+  optionalFiniteNumber,
+} from "./utils.js";
 import { findBestPoi } from "./poiService.js";
-import { generateStoryText } from "./storyService.js";
-import { synthesizeTts, audioToBase64, getTtsContentType } from "./tts.js";
+import { planRoute } from "./routeService.js";
+import { createRoutes } from "./routes.js";
+import { wantsDebug } from "./admin.js";
+import { rateLimit, dailyBudget } from "./rateLimit.js";
+import { authMiddleware, registerDevice, requestUserId } from "./auth.js";
+import { getPolicyReport } from "./contentPolicy.js";
+import { getGroundingVerdict } from "./grounding.js";
+import { getContractVerdict } from "./storyContract.js";
+import { storyCitations } from "./storyService.js";
+import {
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+  storyDecisions,
+  storyLength,
+} from "./metrics.js";
+import {
+  requestContextMiddleware,
+  timeStage,
+  getStageTimings,
+} from "./requestContext.js";
+import { audioToBase64 } from "./tts.js";
+import {
+  getOrCreateStoryAudio,
+  getOrCreateStoryAudioStream,
+  pruneStoryCache,
+} from "./storyCache.js";
+import { getAudioEntry, onAudioChange, waitForAudio } from "./audioStore.js";
 import {
   getOrCreateTasteProfile,
   applyFeedback,
   saveTasteProfile,
-  normalizeTasteInput,
+  setTasteProfile,
+  assertTasteAccess,
+  feedbackTopics,
 } from "./tasteService.js";
+import { poiTopics } from "./topics.js";
+import { isProviderConfigured } from "./providers.js";
+import {
+  getTripForUser,
+  recordTripEvent,
+  servedEventData,
+  servedPoiKeys,
+  tripPacingSeconds,
+  tripSummary,
+} from "./tripService.js";
 
 const log = makeLogger("BYTHEWAY");
+
+// Test doubles are registered only when config selects them (e.g. PROVIDERS_LLM=fake).
+if (isProviderConfigured("fake")) {
+  await import("./fakeProviders.js");
+  log.warn("fake providers registered (PROVIDERS_* / PROVIDER_OVERRIDES name \"fake\")");
+}
+
 const app = express();
 
+// "url" = return an audio id/URL served by GET /api/audio/:id (streamed), default = inline base64.
+function wantsAudioUrl(req) {
+  const v = req.body?.audioMode ?? req.body?.audioDelivery ?? req.query?.audio;
+  return String(v || "").toLowerCase() === "url";
+}
+
+// Per-stage timings in the response: { "timings": true } in the body, ?timings=1, or debug mode.
+function wantsTimings(req, debug) {
+  return debug || req.body?.timings === true || String(req.query?.timings || "") === "1";
+}
+
+// A trip that cannot be read right now (DB error, 503) must not cost the driver the story:
+// go on without it (no pacing, no events). Same for an unknown trip without a DB (404): memory is
+// the only copy there and idle trips leave it (tripService.js). Foreign or ended trips still fail.
+async function tripForStory({ tripId, userId }) {
+  if (!tripId) return null;
+  try {
+    return await getTripForUser({ tripId, userId, active: true });
+  } catch (e) {
+    if (e?.status !== 503 && !(e?.status === 404 && !hasDb())) throw e;
+    log.warn("trip unavailable, continuing without it:", tripId);
+    return null;
+  }
+}
+
+// story_logs row with the request id, the stage timings so far (the dbLog stage itself is not in it)
+// and the grounding and contract verdicts of a freshly generated story.
+function logStoryTimed(req, fields) {
+  return timeStage("dbLog", () =>
+    logStory({
+      ...fields,
+      requestId: req.requestId,
+      timings: getStageTimings(),
+      grounding: getGroundingVerdict(),
+      contract: getContractVerdict(),
+    })
+  );
+}
+
+// Client asks to skip the story cache read (fresh generation; the entry is still refreshed).
+function wantsCacheBypass(req) {
+  return (
+    req.body?.noCache === true ||
+    req.body?.cache === false ||
+    /no-cache/i.test(String(req.get("cache-control") || ""))
+  );
+}
+
+app.set("trust proxy", config.trustProxy);
+app.use(requestContextMiddleware);
 app.use(express.json({ limit: "1mb" }));
 
 // CORS
@@ -49,7 +147,19 @@ app.get("/health", (req, res) => {
   res.status(200).send(config.version);
 });
 
-app.post("/api/story-both", async (req, res) => {
+app.get("/metrics", (req, res) => {
+  res.setHeader("Content-Type", METRICS_CONTENT_TYPE);
+  res.status(200).send(renderMetrics());
+});
+
+// Device registration (token issuing), then device auth on every /api route (see auth.js).
+app.post("/api/devices/register", rateLimit("auth"), registerDevice);
+app.use("/api", authMiddleware);
+
+// /places and /api/debug/candidates, /api/feedback, GET /api/taste, /api/trips, /api/recap
+app.use(createRoutes());
+
+app.post("/api/story-both", rateLimit("story"), dailyBudget("story"), async (req, res) => {
   const startedAt = Date.now();
 
   try {
@@ -73,20 +183,75 @@ app.post("/api/story-both", async (req, res) => {
       "en";
     const lang = String(langRaw).toLowerCase().slice(0, 5);
 
-    const userId = req.body?.userId ? String(req.body.userId) : null;
+    const userId = requestUserId(req);
     const tasteProfileId = req.body?.tasteProfileId
       ? String(req.body.tasteProfileId)
       : null;
 
+    // Optional motion: heading in degrees from north, speed in m/s,
+    // and the previous fix so we can derive direction when heading is missing.
+    const heading = optionalFiniteNumber(
+      req.body?.heading ?? req.body?.bearing ?? req.body?.course
+    );
+    const speed = optionalFiniteNumber(req.body?.speed ?? req.body?.speedMps);
+    const timestamp = req.body?.timestamp ?? null;
+    const prevRaw = req.body?.prev ?? req.body?.previous ?? null;
+    const prevLat = optionalFiniteNumber(prevRaw?.lat ?? prevRaw?.latitude);
+    const prevLng = optionalFiniteNumber(
+      prevRaw?.lng ?? prevRaw?.lon ?? prevRaw?.longitude
+    );
+    const prev =
+      prevLat !== null && prevLng !== null
+        ? { lat: prevLat, lng: prevLng, timestamp: prevRaw?.timestamp ?? null }
+        : null;
+
     const { id: tpId, taste } = await getOrCreateTasteProfile({
       userId,
       tasteProfileId,
     });
 
-    const poiPick = await findBestPoi({ lat, lng, userId, lang });
+    // Optional trip (POST /api/trips): positions and served/skipped POIs are recorded on it,
+    // stories are paced, and a POI is told only once per trip.
+    const tripId = req.body?.tripId ? String(req.body.tripId) : null;
+    const trip = await tripForStory({ tripId, userId });
+    if (trip) await recordTripEvent(trip, { kind: "position", lat, lng });
+
+    const debug = wantsDebug(req);
+    const timingsOut = wantsTimings(req, debug);
+
+    const poiPick =
+      trip && tripPacingSeconds(trip) > 0
+        ? { shouldSpeak: false, reason: "trip_pacing", poi: null }
+        : await findBestPoi({
+            lat,
+            lng,
+            userId,
+            lang,
+            heading,
+            speed,
+            timestamp,
+            prev,
+            taste,
+            excludePoiKeys: trip ? servedPoiKeys(trip) : [],
+            debug,
+          });
 
     if (!poiPick.shouldSpeak) {
-      await logStory({
+      storyDecisions.inc({ should_speak: "false", reason: poiPick.reason });
+
+      // Pacing is not a decision about a POI; everything else is a skip worth keeping.
+      if (trip && poiPick.reason !== "trip_pacing") {
+        await recordTripEvent(trip, {
+          kind: "skipped",
+          lat,
+          lng,
+          poiKey: poiPick.poi?.key ?? null,
+          poiName: poiPick.poi?.label ?? null,
+          reason: poiPick.reason,
+        });
+      }
+
+      await logStoryTimed(req, {
         userId,
         lat,
         lng,
@@ -98,6 +263,7 @@ app.post("/api/story-both", async (req, res) => {
         reason: poiPick.reason,
         tasteProfileId: tpId,
         storyLen: 0,
+        tripId: trip ? tripId : null,
       });
 
       return res.status(200).json({
@@ -105,6 +271,7 @@ app.post("/api/story-both", async (req, res) => {
         shouldSpeak: false,
         reason: poiPick.reason,
         distanceMetersApprox: poiPick.distanceMetersApprox ?? null,
+        relativePosition: poiPick.relativePosition ?? null,
         poi: poiPick.poi ?? null,
         lang,
         text: "",
@@ -112,22 +279,68 @@ app.post("/api/story-both", async (req, res) => {
         audioBase64: "",
         audioContentType: "",
         audio: null,
+        ...(trip ? { tripId, trip: tripSummary(trip) } : {}),
+        requestId: req.requestId,
+        ...(timingsOut ? { timings: getStageTimings() } : {}),
+        ...(debug ? { debug: { ...poiPick.debug, policy: getPolicyReport() } } : {}),
       });
     }
 
     const poi = poiPick.poiWithFacts;
 
-    const storyText = await generateStoryText({
+    const storyArgs = {
       poi,
       taste: taste || {},
       lang,
-    });
+      bypass: wantsCacheBypass(req),
+    };
 
-    const audioBuf = await synthesizeTts(storyText, { lang });
-    const audioBase64 = audioToBase64(audioBuf);
-    const audioContentType = getTtsContentType();
+    let storyText;
+    let story;
+    let cache;
+    let audioFields;
+
+    if (wantsAudioUrl(req)) {
+      const r = await getOrCreateStoryAudioStream(storyArgs);
+      const entry = r.audioEntry;
+      const audioUrl = `/api/audio/${entry.id}`;
+      storyText = r.storyText;
+      story = r.story;
+      cache = r.cache;
+      audioFields = {
+        audioBase64: "",
+        audioContentType: entry.contentType,
+        audioUrl,
+        audio: {
+          id: entry.id,
+          url: audioUrl,
+          contentType: entry.contentType,
+          streaming: !entry.done,
+          expiresAt: new Date(entry.expiresAt).toISOString(),
+        },
+      };
+    } else {
+      const r = await getOrCreateStoryAudio(storyArgs);
+      const audioBase64 = audioToBase64(r.audioBuf);
+      storyText = r.storyText;
+      story = r.story;
+      cache = r.cache;
+      audioFields = {
+        audioBase64,
+        audioContentType: r.audioContentType,
+        audio: {
+          contentType: r.audioContentType,
+          base64: audioBase64,
+          bytes: r.audioBuf.length,
+        },
+      };
+    }
 
-    await logStory({
+    // What the story is about, for topic learning when feedback on it arrives.
+    const topics = poiTopics(poi);
+    const citations = storyCitations(story);
+
+    await logStoryTimed(req, {
       userId,
       lat,
       lng,
@@ -139,8 +352,29 @@ app.post("/api/story-both", async (req, res) => {
       reason: poiPick.reason || "ok",
       tasteProfileId: tpId,
       storyLen: storyText.length,
+      topics,
+      tripId: trip ? tripId : null,
     });
 
+    if (trip) {
+      await recordTripEvent(trip, {
+        kind: "served",
+        lat,
+        lng,
+        poiKey: poi.key ?? null,
+        poiName: poi.label ?? null,
+        reason: poiPick.reason || "ok",
+        data: servedEventData({
+          poi,
+          storyText,
+          factsUsed: citations.factsUsed.map((f) => f.text),
+        }),
+      });
+    }
+
+    storyDecisions.inc({ should_speak: "true", reason: poiPick.reason || "ok" });
+    storyLength.observe({}, storyText.length);
+
     const ms = Date.now() - startedAt;
 
     return res.status(200).json({
@@ -148,6 +382,8 @@ app.post("/api/story-both", async (req, res) => {
       shouldSpeak: true,
       reason: poiPick.reason || "ok",
       distanceMetersApprox: poi.distanceMetersApprox ?? null,
+      relativePosition: poi.relativePosition ?? null,
+      motion: poiPick.motion ?? null,
       lang,
 
       poi: {
@@ -158,23 +394,37 @@ app.post("/api/story-both", async (req, res) => {
         wikipediaUrl: poi.wikipediaUrl ?? null,
         imageUrl: poi.imageUrl ?? null,
         anchor: poi.anchor ?? null,
+        relativePosition: poi.relativePosition ?? null,
+        types: poi.types ?? [],
+        topics,
       },
 
       facts: (poi.facts || []).slice(0, 8),
 
+      // Facts the story relied on, and per sentence the fact numbers and source URLs.
+      ...citations,
+
       // Backward compatibility
       text: storyText,
       storyText,
 
-      audioBase64,
-      audioContentType,
-      audio: {
-        contentType: audioContentType,
-        base64: audioBase64,
-        bytes: audioBuf.length,
-      },
+      ...audioFields,
 
+      cache,
+      ...(trip ? { tripId, trip: tripSummary(trip) } : {}),
       timingMs: ms,
+      requestId: req.requestId,
+      ...(timingsOut ? { timings: getStageTimings() } : {}),
+      ...(debug
+        ? {
+            debug: {
+              ...poiPick.debug,
+              policy: getPolicyReport(),
+              grounding: getGroundingVerdict(),
+              contract: getContractVerdict(),
+            },
+          }
+        : {}),
     });
   } catch (err) {
     log.error(
@@ -191,13 +441,222 @@ app.post("/api/story-both", async (req, res) => {
       version: config.version,
       error: err?.message || "Server error",
       details: err?.details || null,
+      requestId: req.requestId,
     });
   }
 });
 
-app.post("/api/taste/feedback", async (req, res) => {
+// Sequential on purpose: warming must not compete with live requests for OpenAI quota.
+async function warmStoryCache({ pois, taste, lang }) {
+  for (const poi of pois) {
+    try {
+      await getOrCreateStoryAudio({ poi, taste: taste || {}, lang });
+    } catch (e) {
+      log.warn("warm story failed:", poi?.key, e?.message || e);
+    }
+  }
+}
+
+app.post("/api/route-plan", rateLimit("story"), dailyBudget("story"), async (req, res) => {
+  const startedAt = Date.now();
+
   try {
-    const userId = req.body?.userId ? String(req.body.userId) : null;
+    const polyline =
+      typeof req.body?.polyline === "string" ? req.body.polyline.trim() : "";
+    const waypoints = Array.isArray(req.body?.waypoints)
+      ? req.body.waypoints
+      : null;
+
+    if (!polyline && !waypoints) {
+      return res.status(400).json({
+        version: config.version,
+        error: "polyline or waypoints is required",
+      });
+    }
+
+    const langRaw = req.body?.lang ?? req.body?.language ?? "en";
+    const lang = String(langRaw).toLowerCase().slice(0, 5);
+
+    const userId = requestUserId(req);
+    const tasteProfileId = req.body?.tasteProfileId
+      ? String(req.body.tasteProfileId)
+      : null;
+
+    const { id: tpId, taste } = await getOrCreateTasteProfile({
+      userId,
+      tasteProfileId,
+    });
+
+    const plan = await planRoute({
+      polyline,
+      waypoints,
+      lang,
+      taste,
+      includeFacts: req.body?.includeFacts !== false || req.body?.warm === true,
+    });
+
+    // Optional: pre-generate stories + audio for every trigger so the drive hits the cache.
+    const warm = req.body?.warm === true && plan.pois.length > 0;
+    if (warm) {
+      warmStoryCache({ pois: plan.pois, taste, lang }).catch((e) =>
+        log.warn("route warm failed:", e?.message || e)
+      );
+    }
+
+    return res.status(200).json({
+      version: config.version,
+      lang,
+      tasteProfileId: tpId,
+      taste,
+      route: {
+        lengthMeters: plan.lengthMeters,
+        samples: plan.samples,
+        sampledMeters: plan.sampledMeters,
+        truncated: plan.truncated,
+        sampleSpacingMeters: plan.sampleSpacingMeters,
+        candidates: plan.candidates,
+      },
+      triggers: plan.triggers,
+      warming: warm ? plan.pois.length : 0,
+      timingMs: Date.now() - startedAt,
+    });
+  } catch (err) {
+    log.error(
+      "route-plan error:",
+      err?.status,
+      err?.message,
+      err?.details || ""
+    );
+
+    const status =
+      err?.status && Number.isFinite(err.status) ? err.status : 500;
+
+    return res.status(status).json({
+      version: config.version,
+      error: err?.message || "Server error",
+      details: err?.details || null,
+    });
+  }
+});
+
+/**
+ * Parse a single "bytes=" range against a known total.
+ * Returns { start, end } (inclusive), null when there is no usable Range header,
+ * or false when the range cannot be satisfied.
+ */
+function parseRange(header, total) {
+  const m = String(header || "").match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (!m[1] && !m[2])) return null;
+
+  let start;
+  let end;
+  if (!m[1]) {
+    // suffix range: last N bytes
+    const n = Number(m[2]);
+    start = Math.max(0, total - n);
+    end = total - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), total - 1) : total - 1;
+  }
+
+  if (start > end || start >= total) return false;
+  return { start, end };
+}
+
+// Streams audio while TTS is still producing it; supports Range once it is complete (replay/seek).
+app.get("/api/audio/:id", async (req, res) => {
+  const entry = getAudioEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ version: config.version, error: "Audio not found or expired" });
+  }
+
+  res.setHeader("Content-Type", entry.contentType);
+  res.setHeader("Accept-Ranges", "bytes");
+  res.setHeader("Cache-Control", "private, no-transform");
+
+  // Client went away: stop waiting for (or forwarding) audio.
+  const closed = new AbortController();
+  res.on("close", () => closed.abort());
+
+  try {
+    // Ranges need the total size, so wait for synthesis to finish.
+    if (req.headers.range || entry.done) {
+      const done = await waitForAudio(entry, {
+        timeoutMs: config.audioWaitTimeoutMs,
+        signal: closed.signal,
+      });
+      if (closed.signal.aborted) return;
+      if (!done) {
+        log.warn("audio wait timed out:", entry.id);
+        return res.status(504).json({ version: config.version, error: "Audio synthesis timed out" });
+      }
+      if (entry.error && !entry.bytes) {
+        return res.status(502).json({ version: config.version, error: "Audio synthesis failed" });
+      }
+
+      const full = Buffer.concat(entry.chunks);
+      const range = parseRange(req.headers.range, full.length);
+
+      if (range === false) {
+        res.setHeader("Content-Range", `bytes */${full.length}`);
+        return res.status(416).end();
+      }
+      if (range) {
+        res.setHeader("Content-Range", `bytes ${range.start}-${range.end}/${full.length}`);
+        res.setHeader("Content-Length", String(range.end - range.start + 1));
+        return res.status(206).end(full.subarray(range.start, range.end + 1));
+      }
+
+      res.setHeader("Content-Length", String(full.length));
+      return res.status(200).end(full);
+    }
+
+    // Still synthesizing: chunked response, forward chunks as they arrive.
+    res.status(200);
+    let sent = 0;
+    let finished = false;
+    let idle = null;
+
+    const stop = () => {
+      finished = true;
+      clearTimeout(idle);
+      off();
+    };
+
+    const pump = () => {
+      if (finished) return;
+      while (sent < entry.chunks.length) res.write(entry.chunks[sent++]);
+      if (entry.done) {
+        stop();
+        res.end();
+        return;
+      }
+      // A stalled TTS stream aborts the response instead of holding it open.
+      clearTimeout(idle);
+      if (config.audioWaitTimeoutMs > 0) {
+        idle = setTimeout(() => {
+          log.warn("audio stream stalled, aborting response:", entry.id);
+          stop();
+          res.destroy();
+        }, config.audioWaitTimeoutMs);
+      }
+    };
+
+    const off = onAudioChange(entry, pump);
+    // Client went away (or we ended): stop listening.
+    res.on("close", stop);
+    pump();
+  } catch (err) {
+    log.error("audio error:", err?.message || err);
+    if (!res.headersSent) res.status(500).json({ version: config.version, error: "Server error" });
+    else res.end();
+  }
+});
+
+app.post("/api/taste/feedback", rateLimit("feedback"), async (req, res) => {
+  try {
+    const userId = requestUserId(req);
     const tasteProfileId = req.body?.tasteProfileId
       ? String(req.body.tasteProfileId)
       : null;
@@ -213,6 +672,10 @@ app.post("/api/taste/feedback", async (req, res) => {
       moreNerdy: req.body?.moreNerdy,
       shorter: req.body?.shorter,
       moreDramatic: req.body?.moreDramatic,
+      rating: req.body?.rating,
+      tags: req.body?.tags,
+      note: req.body?.note,
+      topics: await feedbackTopics({ userId, poiKey: req.body?.poiKey, poi: req.body?.poi }),
     };
 
     const updated = applyFeedback(taste || {}, feedback);
@@ -222,13 +685,15 @@ app.post("/api/taste/feedback", async (req, res) => {
       .status(200)
       .json({ ok: true, tasteProfileId: tpId, taste: updated });
   } catch (err) {
+    const status =
+      err?.status && Number.isFinite(err.status) ? err.status : 500;
     return res
-      .status(500)
+      .status(status)
       .json({ ok: false, error: err?.message || "Server error" });
   }
 });
 
-app.post("/api/taste/set", async (req, res) => {
+app.post("/api/taste/set", rateLimit("taste"), async (req, res) => {
   try {
     const tasteProfileId = req.body?.tasteProfileId
       ? String(req.body.tasteProfileId)
@@ -240,13 +705,16 @@ app.post("/api/taste/set", async (req, res) => {
         .json({ ok: false, error: "tasteProfileId is required" });
     }
 
-    const taste = normalizeTasteInput(req.body?.taste || {});
-    await saveTasteProfile(tasteProfileId, taste);
+    await assertTasteAccess({ userId: requestUserId(req), tasteProfileId });
+
+    const taste = await setTasteProfile(tasteProfileId, req.body?.taste || {});
 
     return res.status(200).json({ ok: true, tasteProfileId, taste });
   } catch (err) {
+    const status =
+      err?.status && Number.isFinite(err.status) ? err.status : 500;
     return res
-      .status(500)
+      .status(status)
       .json({ ok: false, error: err?.message || "Server error" });
   }
 });
@@ -256,6 +724,9 @@ async function main() {
     log.warn("DB init skipped/failed:", e?.message || e)
   );
 
+  pruneStoryCache().catch(() => {});
+  setInterval(() => pruneStoryCache().catch(() => {}), 6 * 60 * 60 * 1000).unref();
+
   app.listen(config.port, () => {
     log.info(`Listening on port ${config.port}`);
     log.info(`Version: ${config.version}`);
@@ -0,0 +1,249 @@
+/**
+ * storyCache.js (ESM)
+ *
+ * Cache of generated stories + synthesized MP3, shared across users.
+ *
+ * Key = poi.key + lang + coarse taste bucket + side (ahead/left/right/behind/none) +
+ * STORY_PROMPT_VERSION, so a story warmed at a route trigger (or told to another driver) is reused
+ * by every driver who has the place on the same side. Cached text never holds a distance: the
+ * story is told the side only ("on your left") and the POI's facts carry no distance; the exact
+ * position (relativePosition, with meters) is in each response, per request.
+ *
+ * Storage: Postgres (story_cache) when DATABASE_URL is set, else local disk (STORY_CACHE_DIR).
+ * Cache errors are logged and never fail the request.
+ */
+
+import os from "os";
+import path from "path";
+import fs from "fs/promises";
+
+import { config } from "./config.js";
+import { hasDb, getStoryCacheEntry, upsertStoryCacheEntry, deleteExpiredStoryCache } from "./db.js";
+import { makeLogger, sha1, nowIso } from "./utils.js";
+import { coarsePosition } from "./poiService.js";
+import { generateStory, STORY_PROMPT_VERSION } from "./storyService.js";
+import { storyStyle } from "./storyStyle.js";
+import { synthesizeTts, streamTts, getTtsContentType } from "./tts.js";
+import { createAudioEntry, fillAudioEntry, putCompleteAudio } from "./audioStore.js";
+
+const log = makeLogger("storyCache");
+
+/**
+ * Coarse taste bucket: each style dimension as low/mid/high (0/1/2), e.g. "h1n0d0s0".
+ * Same levels as storyStyle(), so one bucket always means one story style.
+ */
+export function tasteBucket(taste) {
+  const { humor, nerdy, dramatic, shorter } = storyStyle(taste).levels;
+  return `h${humor}n${nerdy}d${dramatic}s${shorter}`;
+}
+
+// TTS delivery for this taste (dramatic level).
+function ttsOptions(lang, taste) {
+  return { lang, instructions: storyStyle(taste).ttsInstructions };
+}
+
+// The POI as the story sees it: side only, no distance, so the text fits every approach on that side.
+function storyPoi(poi, lang) {
+  return { ...poi, relativePosition: coarsePosition(poi?.relativePosition, lang) };
+}
+
+export function storyCacheKey({ poi, lang, taste }) {
+  const parts = {
+    poiKey: String(poi?.key || ""),
+    lang: String(lang || "en"),
+    tasteBucket: tasteBucket(taste),
+    position: poi?.relativePosition?.side || "none",
+    promptVersion: STORY_PROMPT_VERSION,
+  };
+  return { key: sha1(Object.values(parts).join("|")), ...parts };
+}
+
+function cacheDir() {
+  return config.storyCacheDir || path.join(os.tmpdir(), "bytheway-story-cache");
+}
+
+async function diskGet(key) {
+  const dir = cacheDir();
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(dir, `${key}.json`), "utf8"));
+    if (!meta?.expiresAt || Date.parse(meta.expiresAt) <= Date.now()) return null;
+    const audio = meta.hasAudio
+      ? await fs.readFile(path.join(dir, `${key}.mp3`)).catch(() => null)
+      : null;
+    return { ...meta, audio };
+  } catch (e) {
+    if (e?.code !== "ENOENT") log.warn("disk read failed:", e?.message || e);
+    return null;
+  }
+}
+
+async function diskPut(entry) {
+  const dir = cacheDir();
+  await fs.mkdir(dir, { recursive: true });
+  const { audio, ...meta } = entry;
+  if (audio) await fs.writeFile(path.join(dir, `${entry.key}.mp3`), audio);
+  await fs.writeFile(
+    path.join(dir, `${entry.key}.json`),
+    JSON.stringify({ ...meta, hasAudio: Boolean(audio) })
+  );
+}
+
+export async function getCachedStory(key) {
+  if (!config.storyCacheEnabled) return null;
+  try {
+    return hasDb() ? await getStoryCacheEntry(key) : await diskGet(key);
+  } catch (e) {
+    log.warn("get failed:", e?.message || e);
+    return null;
+  }
+}
+
+export async function putCachedStory(entry) {
+  if (!config.storyCacheEnabled) return;
+  const full = {
+    ...entry,
+    createdAt: nowIso(),
+    expiresAt: new Date(Date.now() + config.storyCacheTtlMs).toISOString(),
+  };
+  try {
+    if (hasDb()) await upsertStoryCacheEntry(full);
+    else await diskPut(full);
+  } catch (e) {
+    log.warn("put failed:", e?.message || e);
+  }
+}
+
+/**
+ * Remove expired entries (DB rows or disk files). Safe to call on a timer.
+ */
+export async function pruneStoryCache() {
+  if (!config.storyCacheEnabled) return 0;
+  try {
+    if (hasDb()) return await deleteExpiredStoryCache();
+
+    const dir = cacheDir();
+    const files = await fs.readdir(dir).catch(() => []);
+    let removed = 0;
+    for (const f of files) {
+      if (!f.endsWith(".json")) continue;
+      const key = f.slice(0, -5);
+      const meta = JSON.parse(await fs.readFile(path.join(dir, f), "utf8").catch(() => "{}"));
+      if (meta?.expiresAt && Date.parse(meta.expiresAt) > Date.now()) continue;
+      await fs.rm(path.join(dir, f), { force: true });
+      await fs.rm(path.join(dir, `${key}.mp3`), { force: true });
+      removed += 1;
+    }
+    return removed;
+  } catch (e) {
+    log.warn("prune failed:", e?.message || e);
+    return 0;
+  }
+}
+
+async function readHit(k, bypass) {
+  if (bypass) return null;
+  const hit = await getCachedStory(k.key);
+  return hit?.storyText && hit.audio ? hit : null;
+}
+
+function hitInfo(k, hit) {
+  return {
+    hit: true,
+    key: k.key,
+    ageMs: hit.createdAt ? Date.now() - Date.parse(hit.createdAt) : null,
+    bypass: false,
+  };
+}
+
+function cacheEntry(k, { poi, story, audio, audioContentType }) {
+  return {
+    key: k.key,
+    poiKey: k.poiKey,
+    lang: k.lang,
+    tasteBucket: k.tasteBucket,
+    promptVersion: k.promptVersion,
+    storyText: story.text,
+    facts: Array.isArray(poi?.facts) ? poi.facts : [],
+    story: { sentences: story.sentences, facts: story.facts },
+    audio,
+    audioContentType,
+  };
+}
+
+/**
+ * Cached story + audio for a POI, generating (and caching) on miss.
+ * bypass=true skips the read but still refreshes the entry.
+ *
+ * story: sentences with fact numbers + numbered facts with sources (see storyCitations), null for old entries.
+ *
+ * @returns {Promise<{storyText:string, story:object|null, audioBuf:Buffer, audioContentType:string, cache:{hit:boolean,key:string,ageMs:number|null,bypass:boolean}}>}
+ */
+export async function getOrCreateStoryAudio({ poi, taste, lang, bypass = false }) {
+  const k = storyCacheKey({ poi, lang, taste });
+
+  const hit = await readHit(k, bypass);
+  if (hit) {
+    return {
+      storyText: hit.storyText,
+      story: hit.story || null,
+      audioBuf: Buffer.from(hit.audio),
+      audioContentType: hit.audioContentType || getTtsContentType(),
+      cache: hitInfo(k, hit),
+    };
+  }
+
+  const story = await generateStory({ poi: storyPoi(poi, lang), taste: taste || {}, lang });
+  const audioBuf = await synthesizeTts(story.text, ttsOptions(lang, taste));
+  const audioContentType = getTtsContentType();
+
+  await putCachedStory(cacheEntry(k, { poi, story, audio: audioBuf, audioContentType }));
+
+  return {
+    storyText: story.text,
+    story,
+    audioBuf,
+    audioContentType,
+    cache: { hit: false, key: k.key, ageMs: null, bypass },
+  };
+}
+
+/**
+ * Like getOrCreateStoryAudio, but the audio goes into audioStore and is served by id.
+ * On a miss, TTS streams into the store in the background (readers can start right away)
+ * and the full MP3 is cached once synthesis completes.
+ *
+ * @returns {Promise<{storyText:string, story:object|null, audioEntry:object, cache:object}>}
+ */
+export async function getOrCreateStoryAudioStream({ poi, taste, lang, bypass = false }) {
+  const k = storyCacheKey({ poi, lang, taste });
+
+  const hit = await readHit(k, bypass);
+  if (hit) {
+    const contentType = hit.audioContentType || getTtsContentType();
+    return {
+      storyText: hit.storyText,
+      story: hit.story || null,
+      audioEntry: putCompleteAudio(Buffer.from(hit.audio), contentType),
+      cache: hitInfo(k, hit),
+    };
+  }
+
+  const story = await generateStory({ poi: storyPoi(poi, lang), taste: taste || {}, lang });
+  const audioContentType = getTtsContentType();
+
+  // Await the start so provider errors (auth, quota) still fail this request.
+  const chunks = await streamTts(story.text, ttsOptions(lang, taste));
+  const audioEntry = createAudioEntry(audioContentType);
+
+  fillAudioEntry(audioEntry, chunks).then((full) => {
+    if (!full) return;
+    return putCachedStory(cacheEntry(k, { poi, story, audio: full, audioContentType }));
+  });
+
+  return {
+    storyText: story.text,
+    story,
+    audioEntry,
+    cache: { hit: false, key: k.key, ageMs: null, bypass },
+  };
+}
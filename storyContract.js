@@ -0,0 +1,199 @@
+/**
+ * storyContract.js (ESM)
+ *
+ * Checks a generated story against the story contract in storyService.js:
+ * - 4 to 6 sentences (the range can be narrowed per story, see storyStyle.js)
+ * - ends with one practical action (something to do now)
+ * - no hype words ("magical", "must-see", ...)
+ * - plain text: no emojis, bullets or markdown
+ * - written in the requested language only
+ *
+ * validateStory() returns structured violations ({ rule, detail }); storyService asks the model
+ * for one targeted repair when there are any. The verdict is kept in the request context
+ * (debug output, story_logs.contract).
+ */
+
+import { getRequestContext } from "./requestContext.js";
+
+export const MIN_SENTENCES = 4;
+export const MAX_SENTENCES = 6;
+
+// Abbreviations whose period does not end a sentence (lowercased, without the period).
+const ABBREVIATIONS = new Set([
+  "st", "mt", "mr", "mrs", "ms", "dr", "prof", "vs", "approx", "ave", "blvd", "rd", "jr", "sr",
+  "mme", "mlle", "av", "bd", "ste", "env", "cf",
+]);
+
+// Sentence end: . ! ? … (also French spaced "!" / "?"), optionally followed by closing quotes.
+const SENTENCE_END_RE = /([.!?…]+)(["'”’»)\]]*)(\s+|$)/gu;
+
+/**
+ * Split into sentences for he/en/fr. Does not split inside decimals (4.6), after common
+ * abbreviations (St., M., Av.) or single initials (J. K.); French "Bonjour !" counts as one sentence.
+ */
+export function splitSentences(text) {
+  const t = String(text || "").replace(/\s+/g, " ").trim();
+  if (!t) return [];
+
+  const out = [];
+  let start = 0;
+  for (const m of t.matchAll(SENTENCE_END_RE)) {
+    const end = m.index + m[1].length + m[2].length;
+    // A period at the very end of the text always ends the sentence.
+    if (m[1] === "." && m[3]) {
+      const word = (t.slice(start, m.index).match(/([\p{L}]+)$/u)?.[1] || "").toLowerCase();
+      const isInitial = word.length === 1 && /\p{Lu}/u.test(t[m.index - 1]);
+      if (ABBREVIATIONS.has(word) || isInitial) continue;
+    }
+    const s = t.slice(start, end).trim();
+    if (s) out.push(s);
+    start = m.index + m[0].length;
+  }
+  const rest = t.slice(start).trim();
+  if (rest) out.push(rest);
+
+  // French puts a space before "!" and "?": "C'est ici !" would leave a lone "!" behind.
+  return out.reduce((acc, s) => {
+    if (/^[.!?…]+$/.test(s) && acc.length) acc[acc.length - 1] += ` ${s}`;
+    else acc.push(s);
+    return acc;
+  }, []);
+}
+
+const HYPE_WORDS = {
+  en: [
+    "perfect", "magical", "magic", "must-see", "must see", "unforgettable", "breathtaking",
+    "stunning", "amazing", "hidden gem", "once-in-a-lifetime", "iconic",
+  ],
+  fr: [
+    "parfait", "parfaite", "magique", "magiques", "incontournable", "incontournables", "inoubliable",
+    "inoubliables", "à couper le souffle", "époustouflant", "époustouflante", "joyau caché",
+  ],
+  he: ["מושלם", "מושלמת", "קסום", "קסומה", "קסם", "חובה לראות", "בלתי נשכח", "בלתי נשכחת", "עוצר נשימה", "מדהים", "מדהימה"],
+};
+
+// The last sentence must point at something to do: an imperative or a time/distance to spend.
+const ACTION_HINTS = {
+  en: [
+    "walk", "head", "take", "look", "stop", "try", "grab", "step", "check", "visit", "cross", "turn",
+    "follow", "peek", "pop", "spend", "find", "go", "ask", "order", "sit", "minute", "minutes",
+  ],
+  fr: [
+    "marchez", "allez", "prenez", "regardez", "arrêtez", "essayez", "passez", "faites", "traversez",
+    "tournez", "suivez", "jetez", "entrez", "goûtez", "cherchez", "demandez", "asseyez", "minute", "minutes",
+  ],
+  he: [
+    "לכו", "גשו", "גש", "קחו", "קח", "עצרו", "עצור", "נסו", "נסה", "הציצו", "הצץ", "היכנסו",
+    "תיכנסו", "הסתכלו", "תסתכלו", "חפשו", "שבו", "טעמו", "עברו", "פנו", "דקה", "דקות",
+  ],
+};
+
+// Function words for telling English and French apart.
+const STOPWORDS = {
+  en: ["the", "and", "of", "is", "was", "with", "this", "you", "your", "it", "to", "in", "for", "here"],
+  fr: ["le", "la", "les", "des", "est", "et", "une", "avec", "dans", "pour", "vous", "ce", "cette", "ici", "du"],
+};
+
+const HEBREW_LETTER_RE = /[א-ת]/gu;
+const LATIN_LETTER_RE = /[A-Za-zÀ-ÿ]/gu;
+
+function escapeRe(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function wordRe(words, flags = "iu") {
+  const body = words.map((w) => escapeRe(w).replace(/[\s-]+/g, "[\\s-]+")).join("|");
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${body})(?![\\p{L}\\p{N}])`, flags);
+}
+
+const HYPE_RE = Object.fromEntries(Object.entries(HYPE_WORDS).map(([l, w]) => [l, wordRe(w, "giu")]));
+// Hebrew imperatives often carry a prefix (ו/ש), so allow one. No bare "לך": with ש it is
+// "שלך" ("yours"), which would pass a closing sentence that asks nothing of the listener.
+const ACTION_RE = {
+  en: wordRe(ACTION_HINTS.en),
+  fr: wordRe(ACTION_HINTS.fr),
+  he: new RegExp(`(?<![\\p{L}])[וש]?(?:${ACTION_HINTS.he.join("|")})(?![\\p{L}])`, "u"),
+};
+
+function countMatches(text, re) {
+  return (String(text).match(re) || []).length;
+}
+
+function languageViolation(text, lang) {
+  const hebrew = countMatches(text, HEBREW_LETTER_RE);
+  const latin = countMatches(text, LATIN_LETTER_RE);
+  const letters = hebrew + latin;
+  if (!letters) return null;
+
+  if (lang === "he") {
+    // Place names may stay in Latin script; whole Latin sentences may not.
+    if (latin / letters > 0.25) return `${Math.round((latin / letters) * 100)}% Latin letters in a Hebrew story`;
+    return null;
+  }
+
+  if (hebrew / letters > 0.05) return `Hebrew text in a ${lang} story`;
+
+  if (lang === "en" || lang === "fr") {
+    const words = String(text).toLowerCase().match(/[\p{L}']+/gu) || [];
+    const count = (l) => words.filter((w) => STOPWORDS[l].includes(w)).length;
+    const own = count(lang);
+    const other = count(lang === "en" ? "fr" : "en");
+    if (other > own && other >= 3) return `reads as ${lang === "en" ? "French" : "English"}`;
+  }
+  return null;
+}
+
+/**
+ * @returns {{ ok: boolean, sentences: number, violations: Array<{ rule: string, detail: string }> }}
+ */
+export function validateStory(
+  text,
+  { lang = "en", minSentences = MIN_SENTENCES, maxSentences = MAX_SENTENCES } = {}
+) {
+  const l = ["he", "fr"].includes(lang) ? lang : "en";
+  const story = String(text || "");
+  const sentences = splitSentences(story);
+  const violations = [];
+
+  if (sentences.length < minSentences || sentences.length > maxSentences) {
+    violations.push({
+      rule: "sentence_count",
+      detail: `${sentences.length} sentences (need ${minSentences}-${maxSentences})`,
+    });
+  }
+
+  const last = sentences[sentences.length - 1] || "";
+  if (!ACTION_RE[l].test(last)) {
+    violations.push({ rule: "practical_action", detail: `last sentence has no practical action: "${last.slice(0, 80)}"` });
+  }
+
+  const hype = [...new Set((story.match(HYPE_RE[l]) || []).map((w) => w.toLowerCase()))];
+  if (hype.length) violations.push({ rule: "hype_words", detail: hype.join(", ") });
+
+  const emojis = story.match(/\p{Extended_Pictographic}/gu);
+  if (emojis) violations.push({ rule: "emoji", detail: [...new Set(emojis)].join(" ") });
+
+  if (/(^|\n)\s*(?:[-*•·–]|\d+[.)])\s+|(^|\n)\s*#{1,6}\s|\*\*/u.test(story)) {
+    violations.push({ rule: "formatting", detail: "bullets or markdown" });
+  }
+
+  const langIssue = languageViolation(story, l);
+  if (langIssue) violations.push({ rule: "single_language", detail: langIssue });
+
+  return { ok: violations.length === 0, sentences: sentences.length, violations };
+}
+
+// One line per violation, for the repair prompt.
+export function describeViolations(violations) {
+  return violations.map((v) => `- ${v.rule}: ${v.detail}`).join("\n");
+}
+
+export function recordContractVerdict(verdict) {
+  const ctx = getRequestContext();
+  if (ctx) ctx.contract = verdict;
+}
+
+// Contract verdict of the story generated in this request (null on a cache hit or without generation).
+export function getContractVerdict() {
+  return getRequestContext()?.contract ?? null;
+}
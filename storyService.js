@@ -2,13 +2,26 @@
  * storyService.js (ESM)
  *
  * Contract-driven micro-stories for BYTHEWAY:
- * - 4-6 sentences, each adds new info.
+ * - 4-6 sentences, each adds new info (validated and repaired once, see storyContract.js);
+ *   the range, length, hook and tone follow the user's taste (storyStyle.js).
  * - No "knowledge bonus" unless a clear contextual note is provided.
- * - Use ONLY provided facts for place-specific claims.
+ * - Use ONLY provided facts for place-specific claims (checked after generation, see grounding.js).
+ * - The model answers in JSON, one entry per sentence with the numbers of the facts it uses,
+ *   so responses can cite where each sentence came from (storyCitations).
  */
 
 import { config } from "./config.js";
-import { HttpError, safeTrim, stripCommaSuffix } from "./utils.js";
+import { HttpError, makeLogger, normalizeWhitespace, safeTrim, stripCommaSuffix } from "./utils.js";
+import { chat } from "./llm.js";
+import { isBlocked, checkText } from "./contentPolicy.js";
+import { checkGrounding, groundingEvidence, recordGroundingVerdict } from "./grounding.js";
+import { describeViolations, recordContractVerdict, splitSentences, validateStory } from "./storyContract.js";
+import { selectFacts, storyStyle } from "./storyStyle.js";
+
+const log = makeLogger("storyService");
+
+// Bump when the prompt or story contract changes, so cached stories are regenerated.
+export const STORY_PROMPT_VERSION = "v8";
 
 function normalizeLang(lang) {
   const v = String(lang || "en").toLowerCase();
@@ -25,24 +38,6 @@ function languageLabel(lang) {
   return "English";
 }
 
-function isSensitiveLine(s) {
-  const t = String(s || "").toLowerCase();
-  const bad = [
-    /1948/,
-    /\bwar\b/,
-    /\bterror\b/,
-    /\boccupation\b/,
-    /מלחמ/,
-    /נכבה/,
-    /טרור/,
-    /כיבוש/,
-    /טבח/,
-    /רצח/,
-    /נהרג/,
-  ];
-  return bad.some((re) => re.test(t));
-}
-
 function isTinyReviewLine(s) {
   const t = String(s || "");
   const m1 = t.match(/reviews?\s*[:=]?\s*(\d{1,4})/i);
@@ -70,11 +65,12 @@ function contextualNote({ lang, poi, facts }) {
 function cleanFacts(poi, extraFacts = [], max = 10) {
   const base = Array.isArray(poi?.facts) ? poi.facts : [];
   const merged = [...base, ...(Array.isArray(extraFacts) ? extraFacts : [])];
+  const region = poi?.anchor?.countryCode || "";
 
   return merged
     .map((x) => (typeof x === "string" ? x.trim() : ""))
     .filter(Boolean)
-    .filter((x) => !isSensitiveLine(x))
+    .filter((x) => !isBlocked(x, { region, stage: "story_facts" }))
     .filter((x) => !isTinyReviewLine(x))
     .slice(0, max);
 }
@@ -103,46 +99,243 @@ function fallbackStory({ poi, lang }) {
   );
 }
 
-async function openaiChat({ system, user }) {
-  if (!config.openaiApiKey) throw new HttpError(500, "Missing OPENAI_API_KEY");
+const OUTPUT_FORMAT = [
+  `Output format: a single JSON object and nothing else:`,
+  `{"sentences":[{"text":"<one sentence>","facts":[<numbers of the facts this sentence relies on>]}]}.`,
+  `Use an empty "facts" list for a sentence that relies on no fact (like the practical action).`,
+].join(" ");
 
-  const model = process.env.OPENAI_TEXT_MODEL || "gpt-4o-mini";
-  const url = `${config.openaiBaseUrl}/v1/chat/completions`;
+// Content rules shared by stories and recaps.
+const HARD_RULES = [
+  `Hard rules:`,
+  `- NO politics, NO conflict/war, NO ethnic/religious tension, NO controversy.`,
+  `- Keep it PG. No sexual content and no explicit intimacy.`,
+  `- Use ONLY the provided facts for place-specific claims. Do not invent.`,
+];
 
-  const payload = {
-    model,
-    temperature: 0.4,
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: user },
-    ],
-  };
+const BONUS_RE = /בונוס|knowledge bonus|bonus savoir/i;
+
+// Story as used below: { text, sentences: [{ text, facts: [fact numbers, 1-based] }] }.
+function storyFromSentences(sentences, maxChars = 1400) {
+  const list = sentences.filter((x) => x.text);
+  return { text: safeTrim(list.map((x) => x.text).join(" "), maxChars), sentences: list };
+}
+
+/**
+ * Drop whole sentences before the closing action until the story fits maxChars (what TTS speaks),
+ * never going below minSentences. Returns null when it does not fit at minSentences either.
+ */
+function fitLength(story, { minSentences, maxChars }) {
+  const list = [...story.sentences];
+  const length = () => list.map((x) => x.text).join(" ").length;
+  while (list.length > Math.max(2, minSentences) && length() > maxChars) list.splice(list.length - 2, 1);
+  if (length() > maxChars) return null;
+  return list.length === story.sentences.length ? story : storyFromSentences(list, maxChars);
+}
+
+function plainStory(text) {
+  return storyFromSentences(splitSentences(text).map((x) => ({ text: x, facts: [] })));
+}
+
+/**
+ * Parse and validate the model's JSON answer. Fact numbers outside 1..factCount are dropped.
+ * An answer that is not JSON at all is used as plain text without citations, and so is JSON
+ * without a sentences list that has the story in a "story"/"text"/"content" field.
+ */
+export function parseStoryOutput(raw, factCount) {
+  const body = String(raw || "")
+    .trim()
+    .replace(/^```(?:json)?\s*|\s*```$/g, "");
+
+  let json;
+  try {
+    json = JSON.parse(body);
+  } catch {
+    log.warn("story output is not JSON, using it as plain text");
+    return plainStory(body);
+  }
+
+  // Valid JSON in another shape: a bare string, or the story in a text field.
+  if (typeof json === "string") return plainStory(json);
+  const items = Array.isArray(json?.sentences) ? json.sentences : [];
+  const text = [json?.story, json?.text, json?.content].find((x) => typeof x === "string" && x.trim());
+  if (!items.length && text) {
+    log.warn("story output has no sentences list, using its text field");
+    return plainStory(text);
+  }
+
+  return storyFromSentences(
+    items.map((it) => ({
+      text: normalizeWhitespace(String(typeof it === "string" ? it : it?.text ?? "")),
+      facts: [
+        ...new Set(
+          (Array.isArray(it?.facts) ? it.facts : [])
+            .map(Number)
+            .filter((n) => Number.isInteger(n) && n >= 1 && n <= factCount)
+        ),
+      ],
+    }))
+  );
+}
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      "Content-Type": "application/json",
-      Authorization: `Bearer ${config.openaiApiKey}`,
-    },
-    body: JSON.stringify(payload),
+async function draftStory({ system, user, lang, factCount }) {
+  const out = await chat({ system, user, lang, json: true });
+  const story = parseStoryOutput(out, factCount);
+  if (!story.text) throw new HttpError(500, "Empty story text from the LLM");
+  return story;
+}
+
+/**
+ * Validate a draft against the story contract; on violations ask the model once for a targeted
+ * repair, and keep the repair unless it breaks more rules. The verdict is recorded in the
+ * request context (debug output, story_logs).
+ */
+async function contractStory(draft, { system, user, lang, factCount, style }) {
+  const limits = { lang, minSentences: style.minSentences, maxSentences: style.maxSentences };
+  const first = validateStory(draft.text, limits);
+  if (first.ok) {
+    recordContractVerdict({ ok: true, repaired: false, violations: [], remaining: [] });
+    return draft;
+  }
+
+  log.warn("story contract violations:", first.violations.map((v) => `${v.rule} (${v.detail})`).join("; "));
+
+  const repairUser = [
+    user,
+    `Your previous draft:`,
+    draft.text,
+    `It breaks these rules of the story contract:`,
+    describeViolations(first.violations),
+    `Rewrite it, fixing only these problems. Keep the same facts.`,
+  ].join("\n");
+
+  let story = draft;
+  let after = first;
+  try {
+    const candidate = await draftStory({ system, user: repairUser, lang, factCount });
+    const v = validateStory(candidate.text, limits);
+    if (v.violations.length <= first.violations.length) {
+      story = candidate;
+      after = v;
+    }
+  } catch (err) {
+    log.warn("story repair failed, keeping the draft:", err?.message || err);
+  }
+
+  if (!after.ok) log.warn("story contract still violated:", after.violations.map((v) => v.rule).join(", "));
+  recordContractVerdict({
+    ok: after.ok,
+    repaired: story !== draft,
+    violations: first.violations,
+    remaining: after.violations,
   });
+  return story;
+}
+
+const GROUNDING_ACTIONS = new Set(["regenerate", "strip", "fallback", "off"]);
+
+function groundingAction() {
+  const a = String(config.groundingAction || "").toLowerCase();
+  return GROUNDING_ACTIONS.has(a) ? a : "regenerate";
+}
+
+// Rules a rewrite of the story may never break, whatever the draft did.
+const STRUCTURE_RULES = new Set(["sentence_count", "practical_action"]);
+
+/**
+ * Check a draft against its facts and apply GROUNDING_ACTION.
+ * Returns the story to use, or null when the fallback story should be spoken instead.
+ * A regenerated or stripped story is validated again: it must keep the sentence count and the
+ * closing action, and break no contract rule the draft did not already break.
+ * The verdict is recorded in the request context (logged to story_logs).
+ */
+async function groundedStory(draft, { evidence, system, user, lang, factCount, style }) {
+  const action = groundingAction();
+  if (action === "off") return draft;
+
+  const limits = { lang, minSentences: style.minSentences, maxSentences: style.maxSentences };
+  const draftRules = new Set(validateStory(draft.text, limits).violations.map((v) => v.rule));
+  const keepsContract = (s) => {
+    const v = validateStory(s.text, limits);
+    const ok = v.violations.every((x) => draftRules.has(x.rule) && !STRUCTURE_RULES.has(x.rule));
+    if (!ok) log.warn("grounded rewrite breaks the story contract:", v.violations.map((x) => x.rule).join(", "));
+    return ok;
+  };
+
+  let story = draft;
+  let attempts = 1;
+  let verdict = checkGrounding(story.text, evidence);
+  const found = [...verdict.unsupported];
 
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new HttpError(res.status, "OpenAI story generation failed", safeTrim(t, 900));
+  const done = (outcome, result) => {
+    recordGroundingVerdict({ action, outcome, attempts, checked: verdict.checked, unsupported: found });
+    if (outcome !== "pass") {
+      log.warn(`grounding ${outcome}:`, found.map((u) => `${u.type}:${u.value}`).join(", "));
+    }
+    return result;
+  };
+
+  if (verdict.ok) return done("pass", story);
+  if (action === "fallback") return done("fallback", null);
+
+  if (action === "regenerate") {
+    const claims = [...new Set(verdict.unsupported.map((u) => u.value))].join(", ");
+    const retryUser = [
+      user,
+      `Your previous draft stated things the facts do not support: ${claims}.`,
+      `Rewrite the story without them. Every name, number and year must come from the facts above.`,
+    ].join("\n");
+
+    let again = null;
+    attempts = 2;
+    try {
+      again = await draftStory({ system, user: retryUser, lang, factCount });
+    } catch (err) {
+      log.warn("grounding regenerate failed, stripping the draft:", err?.message || err);
+    }
+    if (again) {
+      verdict = checkGrounding(again.text, evidence);
+      found.push(...verdict.unsupported);
+      if (!verdict.ok) story = again;
+      else if (keepsContract(again)) return done("regenerated", again);
+      // Grounded but off-contract: strip the first draft instead.
+    }
   }
 
-  const json = await res.json();
-  return String(json?.choices?.[0]?.message?.content ?? "");
+  // Strip what is still unsupported. The closing action always stays; if it is unsupported
+  // itself, or what is left breaks the contract, the fallback is spoken.
+  const last = story.sentences[story.sentences.length - 1];
+  if (!last || !checkGrounding(last.text, evidence).ok) return done("fallback", null);
+  const stripped = storyFromSentences(
+    story.sentences.filter((x) => x === last || checkGrounding(x.text, evidence).ok)
+  );
+  if (!keepsContract(stripped)) return done("fallback", null);
+  return done("stripped", stripped);
+}
+
+// Numbered facts as given to the model, with where each came from (poi.factSources).
+function factRefs(poi, facts) {
+  const sources = poi?.factSources || {};
+  return facts.map((f, i) => {
+    const src = sources[normalizeWhitespace(f)] || null;
+    return { id: i + 1, text: f, provider: src?.provider || null, url: src?.url || null };
+  });
 }
 
-export async function generateStoryText({ poi, taste, lang = "en", extraFacts = [], allowContextNote = true }) {
+/**
+ * Generate a story for a POI. Every taste dimension shapes it through storyStyle(taste):
+ * sentence range and length (shorter), numeric facts offered (nerdy), hook (dramatic), tone (humor).
+ * @returns {Promise<{ text: string, sentences: Array<{text:string, facts:number[]}>, facts: Array<{id:number, text:string, provider:string|null, url:string|null}>, fallback: boolean }>}
+ */
+export async function generateStory({ poi, taste, lang = "en", extraFacts = [], allowContextNote = true }) {
   const l = normalizeLang(lang);
-  const facts = cleanFacts(poi, extraFacts, 12);
+  const style = storyStyle(taste);
+  const facts = selectFacts(cleanFacts(poi, extraFacts, 12), style);
+  const refs = factRefs(poi, facts);
+  const fallback = () => ({ ...plainStory(fallbackStory({ poi, lang: l })), facts: refs, fallback: true });
 
-  if (facts.length < 2) return fallbackStory({ poi, lang: l });
+  if (facts.length < 2) return fallback();
 
-  const humor = Number.isFinite(Number(taste?.humor)) ? Number(taste.humor) : 0.35;
   const note = allowContextNote ? contextualNote({ lang: l, poi, facts }) : "";
 
   const primary = poi?.primaryName || poi?.label || "";
@@ -150,44 +343,161 @@ export async function generateStoryText({ poi, taste, lang = "en", extraFacts =
   const system = [
     `You write micro-stories for a travel app named BYTHEWAY.`,
     `Output language must be ${languageLabel(l)}. Do not mix languages.`,
-    `Hard rules:`,
-    `- NO politics, NO conflict/war, NO ethnic/religious tension, NO controversy.`,
-    `- Keep it PG. No sexual content and no explicit intimacy.`,
-    `- Use ONLY the provided facts for place-specific claims. Do not invent.`,
+    ...HARD_RULES,
     `Story contract (must follow):`,
-    `- 4 to 6 sentences total. Plain text, no bullets, no emojis.`,
+    `- ${style.minSentences} to ${style.maxSentences} sentences total, at most ${style.maxChars} characters. Plain text, no bullets, no emojis.`,
     `- Primary entity name is "${primary}". Do not introduce other named places unless the fact explicitly states they are nearby and includes a distance or clear relation.`,
-    `- Sentence 1: sharp hook that justifies stopping here (no clichés).`,
+    `- ${style.hookLine} If a "Position" line is provided, use it in this sentence so the listener knows where to look.`,
     `- Include exactly one concrete, sensory detail (from facts) that paints a picture.`,
     `- If any fact explains the name (meaning / named after), include it in one sentence.`,
     `- Include one surprising, true anecdote from the facts (one sentence).`,
     `- End with one practical action the user can do now in 3 to 10 minutes.`,
     `- Each sentence must add new information. Remove filler.`,
+    `- ${style.factsLine}`,
     `- Avoid hype words like: perfect, magical, must-see, unforgettable.`,
     `Optional contextual note:`,
     `- If a "Contextual note" line is provided, you MAY append it as the last sentence ONLY if it clearly connects to the place.`,
     `- If no note is provided, do not add any general knowledge.`,
-    `Tone: practical, friendly, slightly playful but not forced.`,
+    `Tone: practical, friendly. ${style.toneLine}`,
+    OUTPUT_FORMAT,
   ].join(" ");
 
   const user = [
     `Anchor label: ${poi?.anchor?.areaLabel || ""}`,
     `Place name: ${poi?.label || ""}`,
     `Primary name: ${primary}`,
+    poi?.relativePosition?.label
+      ? `Position (relative to travel direction): ${poi.relativePosition.label}`
+      : `Position: (unknown)`,
     `Facts (use only these for claims):`,
     facts.map((f, i) => `${i + 1}. ${f}`).join("\n"),
     note ? `Contextual note (optional, only if clearly connected): ${note}` : `Contextual note: (none)`,
-    `Humor level (0-1): ${humor}`,
     `Write the story now.`,
   ].join("\n");
 
-  const out = await openaiChat({ system, user });
-  const trimmed = safeTrim(out, 1400);
-  if (!trimmed) throw new HttpError(500, "Empty story text from OpenAI");
+  const gen = { system, user, lang: l, factCount: facts.length, style };
+  const draft = await contractStory(await draftStory(gen), gen);
+  const evidence = groundingEvidence({ poi, facts, note });
+  let story = await groundedStory(draft, { ...gen, evidence });
+  if (!story) return fallback();
 
-  if (!note && /בונוס|knowledge bonus|bonus savoir/i.test(trimmed)) {
-    return safeTrim(trimmed.replace(/(^|\s)(בונוס.*$|knowledge bonus.*$|bonus savoir.*$)/gim, "").trim(), 1400);
+  // Final check on what will be spoken: the model can bring in a sensitive topic on its own.
+  const region = poi?.anchor?.countryCode || "";
+  if (isBlocked(story.text, { region, stage: "story_output" })) {
+    log.warn("story blocked by content policy, using fallback:", checkText(story.text, { region }).matches[0]);
+    return fallback();
   }
 
-  return trimmed;
+  // No "knowledge bonus" without a note: drop that sentence only (the closing action stays).
+  // If what is left breaks the contract (too few sentences, say), the fallback is spoken.
+  if (!note && story.sentences.some((x) => BONUS_RE.test(x.text))) {
+    const limits = { lang: l, minSentences: style.minSentences, maxSentences: style.maxSentences };
+    const before = new Set(validateStory(story.text, limits).violations.map((v) => v.rule));
+    story = storyFromSentences(story.sentences.filter((x) => !BONUS_RE.test(x.text)));
+    const after = validateStory(story.text, limits).violations;
+    if (after.some((x) => !before.has(x.rule) || STRUCTURE_RULES.has(x.rule))) {
+      log.warn("story without its knowledge bonus breaks the contract:", after.map((x) => x.rule).join(", "));
+      return fallback();
+    }
+  }
+  story = fitLength(story, style);
+  if (!story) {
+    log.warn(`story does not fit ${style.maxChars} characters in ${style.minSentences} sentences, using fallback`);
+    return fallback();
+  }
+
+  return { text: story.text, sentences: story.sentences, facts: refs, fallback: false };
+}
+
+export async function generateStoryText(opts) {
+  return (await generateStory(opts)).text;
+}
+
+const RECAP_MAX_PLACES = 12;
+
+function fallbackRecap({ places, lang }) {
+  const names = places.map((p) => stripCommaSuffix(p.label)).join(", ");
+  if (lang === "he") return `הנה מה שעברתם היום: ${names}. תודה שנסעתם איתנו.`;
+  if (lang === "fr") return `Voici ce que vous avez croisé aujourd’hui : ${names}. Merci d’avoir fait la route avec nous.`;
+  return `Here is what you passed today: ${names}. Thanks for riding along.`;
+}
+
+/**
+ * "Here's what you passed today": a short recap of a drive from the places' names and facts.
+ * places: [{ label, facts, countryCode }] in the order they were passed (at most RECAP_MAX_PLACES
+ * are used). Facts and the recap are checked with the content policy of each place's region.
+ * Falls back to a plain list of the names when the model's recap is not grounded or is blocked.
+ * @returns {Promise<{ text: string, sentences: Array<{text:string, facts:number[]}>, fallback: boolean }>}
+ */
+export async function generateRecap({ places, taste, lang = "en" }) {
+  const l = normalizeLang(lang);
+  const style = storyStyle(taste);
+  const list = (places || []).filter((p) => p?.label).slice(0, RECAP_MAX_PLACES);
+  const fallback = () => ({ ...plainStory(fallbackRecap({ places: list, lang: l })), fallback: true });
+
+  if (!list.length) return fallback();
+
+  const lines = list.map((p) => {
+    const facts = cleanFacts({ facts: p.facts, anchor: { countryCode: p.countryCode || "" } }, [], 3);
+    return `${stripCommaSuffix(p.label)}${facts.length ? `: ${facts.join(" ")}` : ""}`;
+  });
+  const maxSentences = Math.min(8, list.length + 2);
+
+  const system = [
+    `You write the end-of-drive recap for a travel app named BYTHEWAY.`,
+    `Output language must be ${languageLabel(l)}. Do not mix languages.`,
+    ...HARD_RULES,
+    `Recap contract (must follow):`,
+    `- 3 to ${maxSentences} sentences total. Plain text, no bullets, no emojis.`,
+    `- Sentence 1: a short opening that this is what the listener passed today.`,
+    `- Then the places in the order given, each with at most one detail from its facts.`,
+    `- End with one short, warm closing sentence.`,
+    `- Avoid hype words like: perfect, magical, must-see, unforgettable.`,
+    `Tone: practical, friendly. ${style.toneLine}`,
+    OUTPUT_FORMAT,
+  ].join(" ");
+
+  const user = [
+    `Places passed, in order (use only these facts):`,
+    lines.map((x, i) => `${i + 1}. ${x}`).join("\n"),
+    `Write the recap now.`,
+  ].join("\n");
+
+  const recap = await draftStory({ system, user, lang: l, factCount: lines.length });
+
+  const verdict = checkGrounding(recap.text, groundingEvidence({ poi: null, facts: lines }));
+  if (!verdict.ok) {
+    log.warn("recap not grounded, using fallback:", verdict.unsupported.map((u) => `${u.type}:${u.value}`).join(", "));
+    return fallback();
+  }
+  const regions = [...new Set(list.map((p) => p.countryCode || ""))];
+  if (regions.some((region) => isBlocked(recap.text, { region, stage: "recap_output" }))) {
+    log.warn("recap blocked by content policy, using fallback");
+    return fallback();
+  }
+
+  const story = fitLength(recap, { minSentences: 3, maxChars: 1400 });
+  if (!story) {
+    log.warn("recap too long, using fallback");
+    return fallback();
+  }
+  return { text: story.text, sentences: story.sentences, fallback: false };
+}
+
+/**
+ * What a story cites: the facts its sentences used, and per sentence the fact numbers
+ * and source URLs. Sentences with no facts are the ones to audit.
+ */
+export function storyCitations(story) {
+  const byId = new Map((story?.facts || []).map((f) => [f.id, f]));
+  const citations = (story?.sentences || []).map((x) => ({
+    text: x.text,
+    facts: x.facts,
+    sources: [...new Set(x.facts.map((id) => byId.get(id)?.url).filter(Boolean))],
+  }));
+  const used = new Set(citations.flatMap((c) => c.facts));
+  return {
+    factsUsed: (story?.facts || []).filter((f) => used.has(f.id)),
+    citations,
+  };
 }
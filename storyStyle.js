@@ -0,0 +1,122 @@
+/**
+ * storyStyle.js (ESM)
+ *
+ * Deterministic taste -> story style mapping. Each taste dimension is bucketed into
+ * low / mid / high (0 / 1 / 2, same buckets as the story cache key) and each bucket maps to
+ * fixed prompt lines, contract limits and TTS delivery:
+ *
+ * - shorter:  sentence range and maximum story length (what gets spoken)
+ * - nerdy:    how many numeric/technical facts the model gets, and how to use numbers
+ * - dramatic: hook style (sentence 1) and TTS delivery instructions
+ * - humor:    tone line
+ *
+ * The default taste (tasteService.js) maps to the original prompt: 4 to 6 sentences, a sharp
+ * hook, numbers where they help, slightly playful.
+ *
+ * Pure functions only, so the mapping can be tested without a model.
+ */
+
+const DEFAULT_CUTS = [0.34, 0.67];
+
+// Per-dimension cut points where the default taste (tasteService.js) would otherwise not be "mid".
+// dramatic defaults to 0.25: it is mid (the original "sharp hook") until the user asks for less.
+const LEVEL_CUTS = {
+  dramatic: [0.2, 0.6],
+};
+
+// Same thresholds as the story cache taste bucket; a missing value is "mid".
+export function tasteLevel(v, [low, high] = DEFAULT_CUTS) {
+  const n = Number(v);
+  if (v == null || !Number.isFinite(n)) return 1;
+  if (n < low) return 0;
+  if (n < high) return 1;
+  return 2;
+}
+
+const SHORTER = [
+  { minSentences: 4, maxSentences: 6, maxChars: 1400 },
+  { minSentences: 4, maxSentences: 5, maxChars: 1100 },
+  { minSentences: 3, maxSentences: 4, maxChars: 750 },
+];
+
+const NERDY = [
+  { maxNumericFacts: 1, factsLine: "Keep technical detail out; use at most one number." },
+  { maxNumericFacts: 3, factsLine: "Use numbers only where they help the listener picture the place." },
+  {
+    maxNumericFacts: Infinity,
+    factsLine: "Include exact numbers, dates and technical details from the facts where they fit.",
+  },
+];
+
+const DRAMATIC = [
+  {
+    hookLine: "Sentence 1: a clear, calm hook that says why this place is worth a look.",
+    ttsInstructions: "Speak calmly and clearly, in an even, friendly tone.",
+  },
+  {
+    hookLine: "Sentence 1: sharp hook that justifies stopping here (no clichés).",
+    ttsInstructions: "Speak warmly and clearly, with light emphasis on the surprising detail.",
+  },
+  {
+    hookLine: "Sentence 1: a dramatic, suspenseful hook that builds curiosity, while staying strictly true.",
+    ttsInstructions:
+      "Speak expressively, with suspense: a short pause before the surprising detail, then a lively delivery.",
+  },
+];
+
+const HUMOR = [
+  "Keep it straight; at most one light touch of humor.",
+  "Slightly playful but not forced.",
+  "Playful: include one clear witty line, never at anyone's expense.",
+];
+
+/**
+ * @returns {{ levels: {humor:number, nerdy:number, dramatic:number, shorter:number},
+ *   minSentences: number, maxSentences: number, maxChars: number, maxNumericFacts: number,
+ *   factsLine: string, hookLine: string, toneLine: string, ttsInstructions: string }}
+ */
+export function storyStyle(taste) {
+  const t = taste || {};
+  const levels = {
+    humor: tasteLevel(t.humor),
+    nerdy: tasteLevel(t.nerdy),
+    dramatic: tasteLevel(t.dramatic, LEVEL_CUTS.dramatic),
+    shorter: tasteLevel(t.shorter),
+  };
+
+  return {
+    levels,
+    ...SHORTER[levels.shorter],
+    ...NERDY[levels.nerdy],
+    ...DRAMATIC[levels.dramatic],
+    toneLine: HUMOR[levels.humor],
+  };
+}
+
+// A fact that carries a number (years, sizes, counts, ratings).
+export function isNumericFact(fact) {
+  return /\d/.test(String(fact || ""));
+}
+
+/**
+ * Facts for the prompt: all non-numeric facts plus up to style.maxNumericFacts numeric ones,
+ * in their original order. Numeric facts are added back if fewer than minFacts remain.
+ */
+export function selectFacts(facts, style, minFacts = 2) {
+  const list = Array.isArray(facts) ? facts : [];
+  let numeric = 0;
+  const keep = list.map((f) => {
+    if (!isNumericFact(f)) return true;
+    numeric += 1;
+    return numeric <= style.maxNumericFacts;
+  });
+
+  let kept = keep.filter(Boolean).length;
+  for (let i = 0; i < list.length && kept < minFacts; i += 1) {
+    if (!keep[i]) {
+      keep[i] = true;
+      kept += 1;
+    }
+  }
+  return list.filter((_, i) => keep[i]);
+}
@@ -3,10 +3,36 @@
  *
  * Minimal, crash-proof taste handling.
  * No safety/disallowSexualContent fields at all.
- * Uses in-memory store to avoid DB coupling.
+ *
+ * Storage:
+ * - Postgres (taste_profiles + taste_bindings) when DATABASE_URL is set.
+ * - In-memory Maps as a write-through cache in front of the DB,
+ *   and as the only store in no-db mode.
+ * - DB errors are logged and never fail the request (we fall back to memory).
+ *
+ * Ownership: a profile bound to a user (taste_bindings) can only be used by that user;
+ * unbound profiles (created without a userId) stay usable by anyone who has the id.
+ *
+ * Besides the style scalars, a profile learns topic affinities (topics.js) from liked and
+ * disliked stories: { history: 0.4, food: -0.2, ... } in -1..1, fading with
+ * TASTE_TOPIC_HALF_LIFE_DAYS since topicsUpdatedAt.
  */
 
 import crypto from "crypto";
+import { config } from "./config.js";
+import {
+  hasDb,
+  getTasteProfile,
+  upsertTasteProfile,
+  getTasteBinding,
+  upsertTasteBinding,
+  getTasteProfileUserIds,
+  getServedPoiTopics,
+} from "./db.js";
+import { HttpError, makeLogger, nowIso } from "./utils.js";
+import { TOPICS, normalizeTopicMap, poiTopics } from "./topics.js";
+
+const log = makeLogger("tasteService");
 
 const byId = new Map();     // tasteProfileId -> taste
 const byUser = new Map();   // userId -> tasteProfileId
@@ -24,32 +50,248 @@ export function normalizeTasteInput(raw) {
     nerdy: clamp01(t.nerdy, 0.35),
     dramatic: clamp01(t.dramatic, 0.25),
     shorter: clamp01(t.shorter, 0.2),
+    topics: normalizeTopicMap(t.topics),
+    topicsUpdatedAt: Number.isFinite(Date.parse(t.topicsUpdatedAt)) ? String(t.topicsUpdatedAt) : null,
   };
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Topic affinities faded to now (half-life TASTE_TOPIC_HALF_LIFE_DAYS since topicsUpdatedAt).
+ * Safe to apply repeatedly: the result is stamped with the time it was computed for.
+ */
+export function decayTopics(taste, now = Date.now()) {
+  const t = normalizeTasteInput(taste);
+  const since = Date.parse(t.topicsUpdatedAt || "");
+  const halfLife = config.tasteTopicHalfLifeDays;
+  if (!Number.isFinite(since) || !(halfLife > 0) || now <= since) return t;
+
+  const f = Math.pow(0.5, (now - since) / (halfLife * DAY_MS));
+  const topics = {};
+  for (const [k, v] of Object.entries(t.topics)) topics[k] = v * f;
+  return { ...t, topics: normalizeTopicMap(topics), topicsUpdatedAt: new Date(now).toISOString() };
+}
+
+// Every topic with its affinity (0 = nothing learned), strongest first.
+export function topicAffinities(taste) {
+  const topics = normalizeTasteInput(taste).topics;
+  return TOPICS.map((topic) => ({ topic, affinity: topics[topic] || 0 })).sort(
+    (a, b) => b.affinity - a.affinity
+  );
+}
+
+async function loadProfile(id) {
+  if (byId.has(id)) return byId.get(id);
+  if (!hasDb()) return null;
+
+  try {
+    const data = await getTasteProfile(id);
+    if (!data) return null;
+    const taste = normalizeTasteInput(data);
+    byId.set(id, taste);
+    return taste;
+  } catch (e) {
+    log.warn("getTasteProfile failed:", e?.message || e);
+    return null;
+  }
+}
+
+async function loadBinding(userId) {
+  if (byUser.has(userId)) return byUser.get(userId);
+  if (!hasDb()) return null;
+
+  try {
+    const id = await getTasteBinding(userId);
+    if (id) byUser.set(userId, id);
+    return id;
+  } catch (e) {
+    log.warn("getTasteBinding failed:", e?.message || e);
+    return null;
+  }
+}
+
+async function persistProfile(id, taste) {
+  byId.set(id, taste);
+  if (!hasDb()) return;
+  try {
+    await upsertTasteProfile(id, taste);
+  } catch (e) {
+    log.warn("upsertTasteProfile failed:", e?.message || e);
+  }
+}
+
+async function persistBinding(userId, id) {
+  byUser.set(userId, id);
+  if (!hasDb()) return;
+  try {
+    await upsertTasteBinding(userId, id);
+  } catch (e) {
+    log.warn("upsertTasteBinding failed:", e?.message || e);
+  }
+}
+
+/**
+ * Users bound to a profile. Unlike the other lookups here a DB error is not swallowed:
+ * with only the in-memory bindings a bound profile could look unbound, so ownership checks
+ * fail closed (503) instead. `knownUserId` bound in memory settles it without the DB.
+ */
+async function boundUserIds(id, knownUserId = null) {
+  const ids = new Set();
+  for (const [u, tp] of byUser) if (tp === id) ids.add(u);
+  if (!hasDb() || (knownUserId && ids.has(knownUserId))) return ids;
+
+  try {
+    for (const u of await getTasteProfileUserIds(id)) ids.add(u);
+  } catch (e) {
+    log.warn("getTasteProfileUserIds failed:", e?.message || e);
+    throw new HttpError(503, "Taste profile ownership could not be checked");
+  }
+  return ids;
+}
+
+/**
+ * "owner" (bound to userId), "unbound" (bound to nobody) or "other" (bound to someone else).
+ * Throws 503 when the bindings cannot be read.
+ */
+export async function tasteProfileOwnership({ userId, tasteProfileId }) {
+  const users = await boundUserIds(String(tasteProfileId), userId ? String(userId) : null);
+  if (!users.size) return "unbound";
+  return userId && users.has(String(userId)) ? "owner" : "other";
+}
+
+// Throws 403 when the profile is bound to another user, 503 when that cannot be checked.
+export async function assertTasteAccess({ userId, tasteProfileId }) {
+  if (!tasteProfileId) return;
+  if ((await tasteProfileOwnership({ userId, tasteProfileId })) === "other") {
+    throw new HttpError(403, "Taste profile belongs to another user");
+  }
+}
+
 export async function getOrCreateTasteProfile({ userId, tasteProfileId }) {
-  // 1) explicit id
-  if (tasteProfileId && byId.has(String(tasteProfileId))) {
+  // 1) explicit id (only if this user may use it)
+  if (tasteProfileId) {
     const id = String(tasteProfileId);
-    return { id, taste: byId.get(id) || normalizeTasteInput({}) };
+    await assertTasteAccess({ userId, tasteProfileId: id });
+    const taste = await loadProfile(id);
+    if (taste) return { id, taste: decayTopics(taste) };
   }
 
   // 2) user binding
-  if (userId && byUser.has(String(userId))) {
-    const id = byUser.get(String(userId));
-    if (id && byId.has(id)) return { id, taste: byId.get(id) };
+  if (userId) {
+    const id = await loadBinding(String(userId));
+    if (id) {
+      const taste = await loadProfile(id);
+      if (taste) return { id, taste: decayTopics(taste) };
+    }
   }
 
   // 3) create new
   const id = crypto.randomUUID();
   const taste = normalizeTasteInput({});
-  byId.set(id, taste);
-  if (userId) byUser.set(String(userId), id);
+  await persistProfile(id, taste);
+  if (userId) await persistBinding(String(userId), id);
   return { id, taste };
 }
 
+// Feedback tags (lowercased, spaces/dashes -> "_") and their nudges.
+const TAG_EFFECTS = {
+  funny: { humor: 0.05 },
+  more_humor: { humor: 0.05 },
+  not_funny: { humor: -0.05 },
+  less_humor: { humor: -0.05 },
+  interesting: { nerdy: 0.03 },
+  more_facts: { nerdy: 0.05 },
+  nerdy: { nerdy: 0.05 },
+  too_technical: { nerdy: -0.05 },
+  boring: { dramatic: 0.04, humor: 0.02 },
+  more_dramatic: { dramatic: 0.05 },
+  too_dramatic: { dramatic: -0.05 },
+  too_long: { shorter: 0.08 },
+  too_short: { shorter: -0.08 },
+};
+
+// Free-text note: a few keywords per supported language, much weaker than tags.
+// A negated keyword ("not funny", "pas drôle", "לא מצחיק") applies `negated` instead, if any.
+const NOTE_HINTS = [
+  { re: /too long|ארוך מדי|trop long/i, delta: { shorter: 0.05 } },
+  { re: /too short|קצר מדי|trop court/i, delta: { shorter: -0.05 } },
+  { re: /boring|משעמם|ennuyeux/i, delta: { dramatic: 0.03 } },
+  { re: /funny|מצחיק|drôle/i, delta: { humor: 0.03 }, negated: { humor: -0.03 } },
+  { re: /more facts|more detail|עוד עובדות|plus de détails/i, delta: { nerdy: 0.03 } },
+];
+
+// A negation up to two words before the keyword ("wasn't very funny", "n'est pas drôle",
+// "לא ממש מצחיק"), or "un" glued to it ("unfunny"). Not \b: it does not see Hebrew letters.
+const NOTE_NEGATION_RE = /(?:^|[\s,.;:!?])(?:not|no|never|\S*n't|pas|jamais|לא)\s+(?:\S+\s+){0,2}$|(?:^|\s)un$/i;
+
+function noteHintDelta(note, hint) {
+  const m = hint.re.exec(note);
+  if (!m) return null;
+  return NOTE_NEGATION_RE.test(note.slice(0, m.index)) ? hint.negated || null : hint.delta;
+}
+
+export function normalizeFeedbackTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return Array.from(
+    new Set(
+      tags
+        .map((t) => String(t).trim().toLowerCase().replace(/[\s-]+/g, "_"))
+        .filter(Boolean)
+    )
+  ).slice(0, 12);
+}
+
+function addDelta(t, delta, scale = 1) {
+  for (const [k, v] of Object.entries(delta)) t[k] = clamp01(t[k] + v * scale, t[k]);
+}
+
+// How much one liked/disliked story moves a topic's affinity (scaled by the story's topic weight).
+const TOPIC_RATE = 0.2;
+
+// +1 liked, -1 disliked; a 1-5 rating without like/dislike counts by its distance from 3.
+function topicSignal(f) {
+  if (f.liked === true) return 1;
+  if (f.liked === false) return -1;
+  const rating = Number(f.rating);
+  if (f.rating == null || !Number.isFinite(rating)) return 0;
+  return (Math.max(1, Math.min(5, Math.round(rating))) - 3) / 2;
+}
+
+function learnTopics(t, f) {
+  const signal = topicSignal(f);
+  const weights = normalizeTopicMap(f.topics, 0);
+  if (!signal || !Object.keys(weights).length) {
+    return { topics: t.topics, topicsUpdatedAt: t.topicsUpdatedAt };
+  }
+
+  const topics = { ...t.topics };
+  for (const [k, w] of Object.entries(weights)) topics[k] = (topics[k] || 0) + TOPIC_RATE * signal * w;
+  return { topics: normalizeTopicMap(topics), topicsUpdatedAt: nowIso() };
+}
+
+/**
+ * Topics of the story the feedback is about: what story_logs recorded when it was served,
+ * else derived from the POI the app sent back (types / topics).
+ */
+export async function feedbackTopics({ userId, poiKey, poi }) {
+  if (hasDb() && userId && poiKey) {
+    try {
+      const served = await getServedPoiTopics({ userId: String(userId), poiKey: String(poiKey) });
+      if (served) return normalizeTopicMap(served, 0);
+    } catch (e) {
+      log.warn("getServedPoiTopics failed:", e?.message || e);
+    }
+  }
+  return poiTopics(poi);
+}
+
+/**
+ * feedback: { liked, rating, tags, note, moreHumor.., topics } where topics are the
+ * story's topic weights (feedbackTopics).
+ */
 export function applyFeedback(taste, feedback) {
-  const t = normalizeTasteInput(taste || {});
+  const t = decayTopics(taste || {});
   const f = feedback && typeof feedback === "object" ? feedback : {};
 
   let humor = t.humor;
@@ -68,11 +310,50 @@ export function applyFeedback(taste, feedback) {
     shorter = clamp01(shorter + 0.05, shorter);
   }
 
-  return { humor, nerdy, dramatic, shorter };
+  const out = { humor, nerdy, dramatic, shorter, ...learnTopics(t, f) };
+
+  // Rating 1..5: 4-5 reads like a like, 1-2 like a dislike (scaled by distance from 3).
+  const rating = Number(f.rating);
+  if (f.rating != null && Number.isFinite(rating)) {
+    const r = Math.max(1, Math.min(5, Math.round(rating)));
+    if (r > 3) addDelta(out, { humor: 0.015 }, r - 3);
+    else if (r < 3) addDelta(out, { shorter: 0.025 }, 3 - r);
+  }
+
+  for (const tag of normalizeFeedbackTags(f.tags)) {
+    if (TAG_EFFECTS[tag]) addDelta(out, TAG_EFFECTS[tag]);
+  }
+
+  if (typeof f.note === "string" && f.note.trim()) {
+    for (const h of NOTE_HINTS) {
+      const delta = noteHintDelta(f.note, h);
+      if (delta) addDelta(out, delta);
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Replace a profile's style settings (/api/taste/set). Learned topic affinities are kept
+ * unless the new taste sets topics itself.
+ */
+export async function setTasteProfile(tasteProfileId, raw) {
+  const id = String(tasteProfileId || "");
+  const given = raw && typeof raw === "object" ? raw : {};
+  const prev = (await loadProfile(id)) || {};
+
+  const taste = normalizeTasteInput(
+    given.topics
+      ? { ...given, topicsUpdatedAt: nowIso() }
+      : { ...given, topics: prev.topics, topicsUpdatedAt: prev.topicsUpdatedAt }
+  );
+  await persistProfile(id, taste);
+  return decayTopics(taste);
 }
 
 export async function saveTasteProfile(tasteProfileId, taste) {
   const id = String(tasteProfileId || "");
   if (!id) return;
-  byId.set(id, normalizeTasteInput(taste || {}));
+  await persistProfile(id, normalizeTasteInput(taste || {}));
 }
@@ -0,0 +1,95 @@
+/**
+ * topics.js (ESM)
+ *
+ * Story topics for taste learning: what a POI's story is "about", from the place types
+ * (Google types; OSM tags are mapped to the same names in overpassService.js) and from
+ * where its facts came from (poi.factSources[..].via = facts provider).
+ *
+ * poiTopics(poi) -> { history: 1, architecture: 0.5, ... } (weights 0..1, strongest = 1).
+ * The taste profile keeps an affinity per topic in -1..1 (tasteService.js).
+ */
+
+export const TOPICS = ["history", "nature", "food", "architecture", "art", "sport", "people"];
+
+// Place type -> topic weights.
+const TYPE_TOPICS = {
+  museum: { history: 0.8, art: 0.5 },
+  historic: { history: 1 },
+  tourist_attraction: { history: 0.3, architecture: 0.3 },
+  place_of_worship: { history: 0.5, architecture: 0.6 },
+  church: { history: 0.5, architecture: 0.6 },
+  synagogue: { history: 0.5, architecture: 0.6 },
+  mosque: { history: 0.5, architecture: 0.6 },
+  hindu_temple: { history: 0.5, architecture: 0.6 },
+  cemetery: { history: 0.8, people: 0.4 },
+  city_hall: { history: 0.4, architecture: 0.7 },
+  courthouse: { architecture: 0.6 },
+  library: { history: 0.3, architecture: 0.4, art: 0.3 },
+  university: { architecture: 0.5, history: 0.3 },
+  park: { nature: 1 },
+  natural_feature: { nature: 1 },
+  campground: { nature: 0.8 },
+  zoo: { nature: 0.8 },
+  aquarium: { nature: 0.7 },
+  cafe: { food: 1 },
+  restaurant: { food: 1 },
+  bakery: { food: 1 },
+  bar: { food: 0.7 },
+  meal_takeaway: { food: 0.8 },
+  food: { food: 1 },
+  art_gallery: { art: 1 },
+  theater: { art: 0.8, architecture: 0.3 },
+  movie_theater: { art: 0.5 },
+  stadium: { sport: 1 },
+  gym: { sport: 0.6 },
+  amusement_park: { sport: 0.3 },
+};
+
+// Facts provider -> topic weights (see collectFacts in poiService.js).
+const FACTS_TOPICS = {
+  streetPerson: { people: 1 },
+  linked: { history: 0.4 },
+  wikiNearby: { history: 0.4 },
+};
+
+function addWeights(out, weights) {
+  for (const [k, v] of Object.entries(weights || {})) out[k] = Math.max(out[k] || 0, v);
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// Known topics only, each clamped to [lo, 1].
+export function normalizeTopicMap(raw, lo = -1) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const t of TOPICS) {
+    const n = Number(raw[t]);
+    if (!Number.isFinite(n)) continue;
+    const v = round3(Math.max(lo, Math.min(1, n)));
+    if (v !== 0) out[t] = v;
+  }
+  return out;
+}
+
+/**
+ * Topic weights for a POI: place types, facts providers, and the person a street is named after.
+ * Also accepts a POI as echoed back by the app ({ types } or { topics }).
+ */
+export function poiTopics(poi) {
+  const out = {};
+  if (!poi || typeof poi !== "object") return out;
+
+  for (const type of Array.isArray(poi.types) ? poi.types : []) addWeights(out, TYPE_TOPICS[type]);
+  for (const src of Object.values(poi.factSources || {})) addWeights(out, FACTS_TOPICS[src?.via]);
+  if (poi.anchor?.person) addWeights(out, { people: 1 });
+  if (poi.topics && typeof poi.topics === "object") addWeights(out, normalizeTopicMap(poi.topics, 0));
+
+  // Scale so the strongest topic is 1: one story counts the same whatever its type list.
+  const max = Math.max(0, ...Object.values(out));
+  if (!max) return {};
+  const scaled = {};
+  for (const [k, v] of Object.entries(out)) scaled[k] = v / max;
+  return normalizeTopicMap(scaled, 0);
+}
@@ -0,0 +1,241 @@
+/**
+ * tripService.js (ESM)
+ *
+ * Trips: one drive, from POST /api/trips to POST /api/trips/:id/end. Story requests that carry
+ * the tripId add events to it, in order:
+ * - position: the coordinates of every request
+ * - served:   the POI a story was told about (label, facts and links, for recaps)
+ * - skipped:  a request that ended without a story (reason, and the POI if there was one)
+ *
+ * Within a trip, stories are paced (TRIP_MIN_STORY_GAP_SECONDS between two) and a POI is
+ * never told twice (findBestPoi's excludePoiKeys).
+ *
+ * Storage like tasteService: Postgres (trips + trip_events) behind an in-memory write-through
+ * cache, memory only in no-db mode. Failed writes are logged and never fail the request; a failed
+ * read is a 503 (not a 404: the trip may well exist), which story requests treat as "no trip".
+ * Trips idle for TRIP_IDLE_TTL_MS leave memory (abandoned drives are never ended), and at most
+ * TRIP_MEMORY_MAX are kept, least recently used out first; with a DB they are reloaded on use.
+ * Without one they are gone: a 404 then, which story requests also treat as "no trip" (server.js).
+ *
+ * Ownership: a trip started by a user can only be used by that user; trips started without
+ * a userId stay usable by anyone who has the id.
+ */
+
+import crypto from "crypto";
+import { config } from "./config.js";
+import { hasDb, insertTrip, getTrip, endTripRow, insertTripEvent, getTripEvents } from "./db.js";
+import { HttpError, makeLogger, metersBetween, nowIso } from "./utils.js";
+
+const log = makeLogger("tripService");
+
+export const TRIP_EVENT_KINDS = ["position", "served", "skipped"];
+
+const trips = new Map(); // tripId -> { trip, events, touchedAt }, least recently used first
+
+function remember(state) {
+  const id = state.trip.id;
+  state.touchedAt = Date.now();
+  trips.delete(id);
+  trips.set(id, state);
+  while (trips.size > Math.max(1, config.tripMemoryMax)) trips.delete(trips.keys().next().value);
+}
+
+// null when the trip does not exist; throws 503 when it could not be read.
+async function loadState(id) {
+  if (trips.has(id)) {
+    const state = trips.get(id);
+    remember(state);
+    return state;
+  }
+  if (!hasDb()) return null;
+
+  let state;
+  try {
+    const trip = await getTrip(id);
+    if (!trip) return null;
+    state = { trip, events: await getTripEvents(id) };
+  } catch (e) {
+    log.warn("getTrip failed:", e?.message || e);
+    throw new HttpError(503, "Trip could not be loaded");
+  }
+  // Ended trips are only read back (recaps); keep just active ones in memory.
+  if (!state.trip.endedAt) remember(state);
+  return state;
+}
+
+function lastServedAt(state) {
+  for (let i = state.events.length - 1; i >= 0; i -= 1) {
+    if (state.events[i].kind === "served") return state.events[i].createdAt;
+  }
+  return null;
+}
+
+// Seconds until the next story may be told on this trip (0 = now).
+export function tripPacingSeconds(state, now = Date.now()) {
+  const last = lastServedAt(state);
+  const gapMs = config.tripMinStoryGapSeconds * 1000;
+  if (!last || gapMs <= 0) return 0;
+  return Math.max(0, Math.ceil((Date.parse(last) + gapMs - now) / 1000));
+}
+
+// POI keys already told on this trip.
+export function servedPoiKeys(state) {
+  return [...new Set(state.events.filter((e) => e.kind === "served" && e.poiKey).map((e) => e.poiKey))];
+}
+
+/**
+ * Trip as returned by the API: ids, times and counts, not the event list.
+ */
+export function tripSummary(state) {
+  const { trip, events } = state;
+  const count = (kind) => events.filter((e) => e.kind === kind).length;
+
+  let distanceMeters = 0;
+  let prev = null;
+  for (const e of events) {
+    if (e.kind !== "position" || !Number.isFinite(e.lat) || !Number.isFinite(e.lng)) continue;
+    if (prev) distanceMeters += metersBetween(prev.lat, prev.lng, e.lat, e.lng);
+    prev = e;
+  }
+
+  const end = trip.endedAt ? Date.parse(trip.endedAt) : Date.now();
+  return {
+    id: trip.id,
+    lang: trip.lang,
+    startedAt: trip.startedAt,
+    endedAt: trip.endedAt,
+    active: !trip.endedAt,
+    durationSeconds: Math.max(0, Math.round((end - Date.parse(trip.startedAt)) / 1000)),
+    distanceMeters: Math.round(distanceMeters),
+    positions: count("position"),
+    served: count("served"),
+    skipped: count("skipped"),
+    nextStoryInSeconds: trip.endedAt ? null : tripPacingSeconds(state),
+  };
+}
+
+export async function startTrip({ userId, tasteProfileId = null, lang = "en" }) {
+  const trip = {
+    id: crypto.randomUUID(),
+    userId: userId ? String(userId) : null,
+    tasteProfileId: tasteProfileId ? String(tasteProfileId) : null,
+    lang,
+    startedAt: nowIso(),
+    endedAt: null,
+  };
+  const state = { trip, events: [] };
+  remember(state);
+
+  if (hasDb()) {
+    try {
+      await insertTrip(trip);
+    } catch (e) {
+      log.warn("insertTrip failed:", e?.message || e);
+    }
+  }
+  return state;
+}
+
+/**
+ * Trip state for a request. Throws 404 for an unknown id, 403 when the trip belongs to
+ * another user and 503 when it could not be read; active=true also refuses an ended trip (409).
+ */
+export async function getTripForUser({ tripId, userId, active = false }) {
+  const state = await loadState(String(tripId || ""));
+  if (!state) throw new HttpError(404, "Trip not found");
+
+  const owner = state.trip.userId;
+  if (owner && owner !== (userId ? String(userId) : null)) {
+    throw new HttpError(403, "Trip belongs to another user");
+  }
+  if (active && state.trip.endedAt) throw new HttpError(409, "Trip has ended");
+  return state;
+}
+
+export async function recordTripEvent(state, { kind, lat, lng, poiKey, poiName, reason, data }) {
+  if (!TRIP_EVENT_KINDS.includes(kind)) throw new Error(`Unknown trip event kind: ${kind}`);
+
+  const event = {
+    createdAt: nowIso(),
+    kind,
+    lat: Number.isFinite(lat) ? lat : null,
+    lng: Number.isFinite(lng) ? lng : null,
+    poiKey: poiKey ?? null,
+    poiName: poiName ?? null,
+    reason: reason ?? null,
+    data: data ?? null,
+  };
+  state.events.push(event);
+  state.touchedAt = Date.now();
+
+  if (!hasDb()) return;
+  try {
+    await insertTripEvent({ tripId: state.trip.id, ...event });
+  } catch (e) {
+    log.warn("insertTripEvent failed:", e?.message || e);
+  }
+}
+
+/**
+ * What a served event keeps about the POI: enough to list and narrate it after the drive.
+ * facts: the facts the story cited (factsUsed), else the POI's first facts.
+ */
+export function servedEventData({ poi, storyText, factsUsed = [] }) {
+  const links = [
+    poi?.wikipediaUrl,
+    ...Object.values(poi?.factSources || {}).map((s) => s?.url),
+  ].filter(Boolean);
+
+  return {
+    label: poi?.label ?? null,
+    source: poi?.source ?? null,
+    countryCode: poi?.anchor?.countryCode ?? null,
+    facts: (factsUsed.length ? factsUsed : poi?.facts || []).slice(0, 8),
+    links: [...new Set(links)],
+    storyText: storyText || "",
+  };
+}
+
+// Places told on this trip, in order, once each: [{ poiKey, label, countryCode, servedAt, facts, links }].
+export function tripPlaces(state) {
+  const seen = new Set();
+  const out = [];
+  for (const e of state.events) {
+    if (e.kind !== "served" || seen.has(e.poiKey)) continue;
+    seen.add(e.poiKey);
+    out.push({
+      poiKey: e.poiKey,
+      label: e.data?.label || e.poiName,
+      countryCode: e.data?.countryCode || null,
+      servedAt: e.createdAt,
+      facts: Array.isArray(e.data?.facts) ? e.data.facts : [],
+      links: Array.isArray(e.data?.links) ? e.data.links : [],
+    });
+  }
+  return out;
+}
+
+// Idempotent: ending an ended trip returns it unchanged.
+export async function endTrip(state) {
+  if (state.trip.endedAt) return state;
+  state.trip.endedAt = nowIso();
+
+  if (hasDb()) {
+    try {
+      await endTripRow(state.trip.id, state.trip.endedAt);
+      trips.delete(state.trip.id);
+    } catch (e) {
+      log.warn("endTripRow failed:", e?.message || e);
+    }
+  }
+  return state;
+}
+
+function sweep() {
+  const cutoff = Date.now() - config.tripIdleTtlMs;
+  for (const [id, state] of trips) {
+    if (state.touchedAt < cutoff) trips.delete(id);
+  }
+}
+
+setInterval(sweep, 10 * 60 * 1000).unref();
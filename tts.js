@@ -1,9 +1,17 @@
 /**
- * tts.js (ESM) - OpenAI Text-to-Speech
+ * tts.js (ESM) - Text-to-Speech
+ *
+ * OpenAI speech is the built-in provider; PROVIDERS_TTS picks order (see providers.js).
+ * Every TTS provider must return MP3 bytes.
  */
 
 import { config } from "./config.js";
 import { HttpError, sanitizeForTts, safeTrim } from "./utils.js";
+import { registerProvider, firstProviderResult } from "./providers.js";
+import { requestIdHeaders, timeStage } from "./requestContext.js";
+import { openaiDuration, startTimer } from "./metrics.js";
+import { chargeBudget } from "./rateLimit.js";
+import { fixtureFetch } from "./httpFixtures.js";
 
 export function getTtsContentType() {
   return "audio/mpeg";
@@ -26,12 +34,9 @@ function getTtsVoice() {
   return process.env.OPENAI_TTS_VOICE || "coral";
 }
 
-/**
- * @param {string} text
- * @param {{lang?: string}} opts
- * @returns {Promise<Buffer>}
- */
-export async function synthesizeTts(text, opts = {}) {
+// POST /v1/audio/speech; resolves once response headers are in (body not read yet).
+// The latency metric covers the same span: time to first byte, not full synthesis.
+async function openaiSpeechResponse(text, { instructions } = {}) {
   requireOpenAIKey();
 
   const cleaned = sanitizeForTts(safeTrim(text, 3900), {
@@ -46,24 +51,89 @@ export async function synthesizeTts(text, opts = {}) {
     input: cleaned,
     voice: getTtsVoice(),
     format: "mp3",
-    // optional:
-    // instructions: "Speak clearly and naturally.",
   };
+  // Delivery instructions (storyStyle.js); tts-1 models do not accept them.
+  if (instructions && !/^tts-1/.test(payload.model)) payload.instructions = instructions;
 
-  const res = await fetch(url, {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${config.openaiApiKey}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify(payload),
-  });
+  const elapsed = startTimer();
+  let outcome = "network_error";
 
-  if (!res.ok) {
-    const t = await res.text().catch(() => "");
-    throw new HttpError(res.status, "OpenAI TTS failed", safeTrim(t, 1500));
+  try {
+    const res = await fixtureFetch(url, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${config.openaiApiKey}`,
+        "Content-Type": "application/json",
+        ...requestIdHeaders(),
+      },
+      body: JSON.stringify(payload),
+    });
+
+    if (!res.ok) {
+      outcome = "http_error";
+      const t = await res.text().catch(() => "");
+      throw new HttpError(res.status, "OpenAI TTS failed", safeTrim(t, 1500));
+    }
+
+    outcome = "ok";
+    chargeBudget("ttsChars", cleaned.length);
+    return res;
+  } finally {
+    openaiDuration.observe({ op: "tts", outcome }, elapsed());
   }
+}
 
+async function openaiSynthesize(text, opts) {
+  const res = await openaiSpeechResponse(text, opts);
   const arrayBuf = await res.arrayBuffer();
   return Buffer.from(arrayBuf);
 }
+
+// OpenAI sends the MP3 chunked as it is synthesized; hand the body chunks through as they arrive.
+async function openaiStream(text, opts) {
+  const res = await openaiSpeechResponse(text, opts);
+  return (async function* chunks() {
+    for await (const chunk of res.body) yield Buffer.from(chunk);
+  })();
+}
+
+registerProvider("tts", "openai", {
+  synthesize: openaiSynthesize,
+  stream: openaiStream,
+});
+
+/**
+ * @param {string} text
+ * @param {{lang?: string, instructions?: string}} opts
+ * @returns {Promise<Buffer>}
+ */
+export async function synthesizeTts(text, opts = {}) {
+  const buf = await timeStage("tts", () =>
+    firstProviderResult("tts", { lang: opts.lang }, (p) => p.synthesize(text, opts))
+  );
+  if (!buf) throw new HttpError(500, "No TTS provider configured");
+  return buf;
+}
+
+/**
+ * Streaming variant: resolves once the provider accepted the request,
+ * with an async iterable of MP3 chunks. Providers without stream() yield one chunk.
+ * The "tts" timing stage covers time to stream start only.
+ *
+ * @param {string} text
+ * @param {{lang?: string, instructions?: string}} opts
+ * @returns {Promise<AsyncIterable<Buffer>>}
+ */
+export async function streamTts(text, opts = {}) {
+  const it = await timeStage("tts", () =>
+    firstProviderResult("tts", { lang: opts.lang }, async (p) => {
+      if (typeof p.stream === "function") return p.stream(text, opts);
+      const buf = await p.synthesize(text, opts);
+      return (async function* once() {
+        yield buf;
+      })();
+    })
+  );
+  if (!it) throw new HttpError(500, "No TTS provider configured");
+  return it;
+}
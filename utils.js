@@ -4,6 +4,15 @@
 
 import crypto from "crypto";
 import { config } from "./config.js";
+import { getRequestId, requestIdHeaders } from "./requestContext.js";
+import { fixtureFetch } from "./httpFixtures.js";
+import {
+  upstreamRequests,
+  upstreamDuration,
+  upstreamApiStatus,
+  cacheLookups,
+  startTimer,
+} from "./metrics.js";
 
 export class HttpError extends Error {
   constructor(status, message, details = null) {
@@ -46,11 +55,16 @@ export function sanitizeForTts(text, lang = "en") {
   return s;
 }
 
+// Lines logged while handling a request carry its id: "[poiService] [req:abc] ...".
 export function makeLogger(prefix) {
+  const tag = () => {
+    const id = getRequestId();
+    return id ? [`[${prefix}]`, `[req:${id}]`] : [`[${prefix}]`];
+  };
   return {
-    info: (...args) => console.log(`[${prefix}]`, ...args),
-    warn: (...args) => console.warn(`[${prefix}]`, ...args),
-    error: (...args) => console.error(`[${prefix}]`, ...args),
+    info: (...args) => console.log(...tag(), ...args),
+    warn: (...args) => console.warn(...tag(), ...args),
+    error: (...args) => console.error(...tag(), ...args),
   };
 }
 
@@ -70,6 +84,13 @@ export function assertFiniteNumber(v, name) {
   return n;
 }
 
+// Lenient variant of assertFiniteNumber for optional fields: returns null instead of throwing.
+export function optionalFiniteNumber(v) {
+  if (v == null || v === "") return null;
+  const n = typeof v === "number" ? v : Number(String(v).trim().replace(",", "."));
+  return Number.isFinite(n) ? n : null;
+}
+
 export function sha1(s) {
   return crypto.createHash("sha1").update(String(s)).digest("hex");
 }
@@ -78,6 +99,32 @@ export function sleep(ms) {
   return new Promise((r) => setTimeout(r, ms));
 }
 
+// Great-circle distance in meters.
+export function metersBetween(lat1, lng1, lat2, lng2) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(toRad(lat1)) *
+      Math.cos(toRad(lat2)) *
+      Math.sin(dLng / 2) *
+      Math.sin(dLng / 2);
+  return 2 * R * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Initial bearing from point 1 to point 2, degrees clockwise from north [0, 360).
+export function bearingBetween(lat1, lng1, lat2, lng2) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLng = toRad(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRad(lat2));
+  const x =
+    Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+    Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
 export function normalizeWhitespace(s) {
   return String(s || "").replace(/\s+/g, " ").trim();
 }
@@ -102,6 +149,31 @@ export function looksLikePersonName(name) {
   return false;
 }
 
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return "invalid";
+  }
+}
+
+// fetch() with per-host request/status/duration metrics; network errors and timeouts count as "error".
+// Goes through fixtureFetch, so HTTP_FIXTURES=record/replay covers every upstream call.
+async function measuredFetch(url, init) {
+  const host = hostOf(url);
+  const elapsed = startTimer();
+  try {
+    const res = await fixtureFetch(url, init);
+    upstreamRequests.inc({ host, status: res.status });
+    return res;
+  } catch (e) {
+    upstreamRequests.inc({ host, status: "error" });
+    throw e;
+  } finally {
+    upstreamDuration.observe({ host }, elapsed());
+  }
+}
+
 export async function fetchText(
   url,
   { timeoutMs = config.httpTimeoutMs, headers = {} } = {}
@@ -110,9 +182,9 @@ export async function fetchText(
   const t = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
-    const res = await fetch(url, {
+    const res = await measuredFetch(url, {
       method: "GET",
-      headers,
+      headers: { ...requestIdHeaders(), ...headers },
       signal: controller.signal,
     });
     const text = await res.text().catch(() => "");
@@ -135,10 +207,11 @@ export async function fetchJson(
   const t = setTimeout(() => controller.abort(), timeoutMs);
 
   try {
-    const res = await fetch(url, {
+    const res = await measuredFetch(url, {
       method,
       headers: {
         "Content-Type": "application/json",
+        ...requestIdHeaders(),
         ...headers,
       },
       body: body ? JSON.stringify(body) : null,
@@ -153,6 +226,10 @@ export async function fetchJson(
       json = null;
     }
 
+    if (typeof json?.status === "string") {
+      upstreamApiStatus.inc({ host: hostOf(url), api_status: json.status });
+    }
+
     return { ok: res.ok, status: res.status, json, text };
   } finally {
     clearTimeout(t);
@@ -162,13 +239,26 @@ export async function fetchJson(
 // Simple in-memory TTL cache
 const _cache = new Map();
 
+// Metrics label: the key up to the first ":" (geocode, places, personfacts, nearbywikictx, ...).
+function cachePrefix(key) {
+  const s = String(key);
+  const i = s.indexOf(":");
+  return i > 0 ? s.slice(0, i) : "other";
+}
+
 export function cacheGet(key) {
+  const prefix = cachePrefix(key);
   const v = _cache.get(key);
-  if (!v) return null;
+  if (!v) {
+    cacheLookups.inc({ prefix, result: "miss" });
+    return null;
+  }
   if (Date.now() > v.expiresAt) {
     _cache.delete(key);
+    cacheLookups.inc({ prefix, result: "miss" });
     return null;
   }
+  cacheLookups.inc({ prefix, result: "hit" });
   return v.value;
 }
 
@@ -8,6 +8,7 @@
  *
  * New:
  * - getNearbyWikiContext returns "items" per page (title+dist+facts) so callers can filter by primary entity.
+ * - getLinkedEntityFacts goes straight to a known Wikidata/Wikipedia entity (e.g. from OSM tags).
  */
 
 import { config } from "./config.js";
@@ -19,6 +20,7 @@ import {
   looksLikePersonName,
   safeTrim,
 } from "./utils.js";
+import { isBlocked, policyLine } from "./contentPolicy.js";
 
 function normalizeLang(lang) {
   const v = String(lang || "en").toLowerCase();
@@ -28,44 +30,13 @@ function normalizeLang(lang) {
   return v.slice(0, 5);
 }
 
-function isSensitiveText(s) {
-  const t = String(s || "").toLowerCase();
-  const bad = [
-    "politician",
-    "politics",
-    "minister",
-    "president",
-    "prime minister",
-    "terror",
-    "war",
-    "military",
-    "conflict",
-    "occupation",
-    "massacre",
-    "פוליטיקאי",
-    "פוליטיקה",
-    "שר",
-    "נשיא",
-    "ראש ממשלה",
-    "מלחמה",
-    "צבא",
-    "טרור",
-    "כיבוש",
-    "טבח",
-    "רצח",
-    "נהרג",
-    "נכבה",
-  ];
-  return bad.some((w) => t.includes(w));
+// Policy checks for facts pulled from Wikidata/Wikipedia (rules live in contentPolicy.json).
+function blocked(text, region) {
+  return isBlocked(text, { region, stage: "wiki" });
 }
 
-function safeFactLine(s) {
-  const t = String(s || "").trim();
-  if (!t) return "";
-  if (/\b1948\b/.test(t)) return "";
-  if (/נכבה|מלחמ|כיבוש|טרור|טבח|רצח|נהרג/.test(t)) return "";
-  if (isSensitiveText(t)) return "";
-  return t;
+function factLine(text, region) {
+  return policyLine(text, { region, stage: "wiki" });
 }
 
 function getClaim(entity, pid) {
@@ -117,7 +88,7 @@ function firstSentences(text, maxSentences = 2) {
   return parts.slice(0, maxSentences).map((x) => x.trim()).filter(Boolean);
 }
 
-function tryNameOriginFromIntro(intro, lang) {
+function tryNameOriginFromIntro(intro, lang, region = "") {
   const l = normalizeLang(lang);
   const t = normalizeWhitespace(String(intro || "")).trim();
   if (!t) return "";
@@ -137,7 +108,7 @@ function tryNameOriginFromIntro(intro, lang) {
 
   for (const re of patterns) {
     const m = t.match(re);
-    if (m && m[0]) return safeFactLine(m[0]);
+    if (m && m[0]) return factLine(m[0], region);
   }
 
   return "";
@@ -177,7 +148,7 @@ async function wikipediaIntroByTitle(title, lang) {
   return String(first?.extract || "");
 }
 
-function buildPersonFactStrings({ lang, personLabel, personDesc, bornStr, wikiIntro }) {
+function buildPersonFactStrings({ lang, region, personLabel, personDesc, bornStr, wikiIntro }) {
   const facts = [];
 
   if (bornStr) {
@@ -188,30 +159,30 @@ function buildPersonFactStrings({ lang, personLabel, personDesc, bornStr, wikiIn
 
   if (personDesc) {
     const d = safeTrim(personDesc, 110);
-    if (d && !isSensitiveText(d)) {
+    if (d && !blocked(d, region)) {
       facts.push(`${personLabel}: ${d}.`);
     }
   }
 
   const introSentences = firstSentences(wikiIntro, 2);
   for (const s of introSentences) {
-    const line = safeFactLine(s);
+    const line = factLine(s, region);
     if (!line) continue;
     facts.push(safeTrim(line, 140));
     break;
   }
 
-  return facts.map(safeFactLine).filter(Boolean).slice(0, 3);
+  return facts.map((f) => factLine(f, region)).filter(Boolean).slice(0, 3);
 }
 
-export async function tryPersonFactsFromName(name, lang = "en") {
+export async function tryPersonFactsFromName(name, lang = "en", { region = "" } = {}) {
   try {
     const n = normalizeWhitespace(name);
     const l = normalizeLang(lang);
 
     if (!looksLikePersonName(n)) return { ok: false, facts: [], person: null };
 
-    const cacheKey = `personfacts:${l}:${n.toLowerCase()}`;
+    const cacheKey = `personfacts:${l}:${region}:${n.toLowerCase()}`;
     const cached = cacheGet(cacheKey);
     if (cached) return cached;
 
@@ -225,7 +196,7 @@ export async function tryPersonFactsFromName(name, lang = "en") {
     let picked = null;
     for (const r of results) {
       const d = r?.description || "";
-      if (isSensitiveText(d)) continue;
+      if (blocked(d, region)) continue;
       picked = r;
       break;
     }
@@ -247,7 +218,7 @@ export async function tryPersonFactsFromName(name, lang = "en") {
     const personLabel = labelFor(ent, l) || picked.label || n;
     const personDesc = descFor(ent, l) || picked.description || "";
 
-    if (isSensitiveText(personDesc)) {
+    if (blocked(personDesc, region)) {
       const out = { ok: false, facts: [], person: null };
       cacheSet(cacheKey, out, config.geoCacheTtlMs);
       return out;
@@ -261,6 +232,7 @@ export async function tryPersonFactsFromName(name, lang = "en") {
 
     const facts = buildPersonFactStrings({
       lang: l,
+      region,
       personLabel,
       personDesc,
       bornStr,
@@ -270,7 +242,13 @@ export async function tryPersonFactsFromName(name, lang = "en") {
     const out = {
       ok: facts.length > 0,
       facts,
-      person: { qid, label: personLabel, description: personDesc, wikipediaTitle: title || "" },
+      person: {
+        qid,
+        label: personLabel,
+        description: personDesc,
+        wikipediaTitle: title || "",
+        wikidataUrl: `https://www.wikidata.org/wiki/${encodeURIComponent(qid)}`,
+      },
     };
 
     cacheSet(cacheKey, out, config.geoCacheTtlMs);
@@ -280,6 +258,118 @@ export async function tryPersonFactsFromName(name, lang = "en") {
   }
 }
 
+function yearOf(timeObj) {
+  const m = String(timeObj?.time || "").match(/^[+]?([0-9]{3,4})-/);
+  return m ? m[1] : "";
+}
+
+function buildEntityFactStrings({ lang, region, label, desc, inceptionYear, intro }) {
+  const facts = [];
+
+  if (desc) {
+    const d = safeTrim(desc, 110);
+    if (d && !blocked(d, region)) facts.push(`${label}: ${d}.`);
+  }
+
+  if (inceptionYear) {
+    if (lang === "he") facts.push(`${label}: שנת הקמה ${inceptionYear}.`);
+    else if (lang === "fr") facts.push(`${label} date de ${inceptionYear}.`);
+    else facts.push(`${label} dates back to ${inceptionYear}.`);
+  }
+
+  for (const sentence of firstSentences(intro, 2)) {
+    const line = factLine(sentence, region);
+    if (line) facts.push(safeTrim(line, 220));
+  }
+
+  return facts.map((f) => factLine(f, region)).filter(Boolean).slice(0, 4);
+}
+
+/**
+ * Facts for an entity already linked by the POI provider (e.g. OSM wikidata / wikipedia tags),
+ * so we skip name search and go straight to the entity.
+ *
+ * wikidata: "Q123"
+ * wikipedia: "he:Title" (OSM convention) or plain "Title" (assumed in lang)
+ */
+export async function getLinkedEntityFacts({ wikidata = null, wikipedia = null, lang = "en", region = "" }) {
+  const empty = { ok: false, facts: [], entity: null };
+
+  try {
+    const l = normalizeLang(lang);
+    const qid = /^Q\d+$/.test(String(wikidata || "")) ? String(wikidata) : "";
+    if (!qid && !wikipedia) return empty;
+
+    const cacheKey = `entityfacts:${l}:${region}:${qid || wikipedia}`;
+    const cached = cacheGet(cacheKey);
+    if (cached) return cached;
+
+    let label = "";
+    let desc = "";
+    let inceptionYear = "";
+    let wikiLang = l;
+    let title = "";
+
+    if (qid) {
+      const ent = await wikidataEntity(qid);
+      if (ent) {
+        label = labelFor(ent, l);
+        desc = descFor(ent, l);
+        inceptionYear = yearOf(getClaim(ent, "P571"));
+        if (ent?.sitelinks?.[`${l}wiki`]?.title) {
+          title = ent.sitelinks[`${l}wiki`].title;
+        } else if (ent?.sitelinks?.enwiki?.title) {
+          title = ent.sitelinks.enwiki.title;
+          wikiLang = "en";
+        }
+      }
+    }
+
+    if (!title && wikipedia) {
+      const m = String(wikipedia).match(/^([a-z-]{2,12}):(.+)$/);
+      wikiLang = m ? m[1] : l;
+      title = m ? m[2] : String(wikipedia);
+    }
+
+    if (blocked(desc, region)) {
+      cacheSet(cacheKey, empty, config.geoCacheTtlMs);
+      return empty;
+    }
+
+    const intro = title ? await wikipediaIntroByTitle(title, wikiLang) : "";
+    // Only use the intro if it is in the listener's language.
+    const usableIntro = wikiLang === l && !blocked(intro, region) ? intro : "";
+
+    const facts = buildEntityFactStrings({
+      lang: l,
+      region,
+      label: label || title,
+      desc,
+      inceptionYear,
+      intro: usableIntro,
+    });
+
+    const out = {
+      ok: facts.length > 0,
+      facts,
+      entity: {
+        qid: qid || null,
+        label: label || title || "",
+        description: desc || "",
+        wikipediaTitle: title || "",
+        wikipediaUrl: title
+          ? `https://${wikiLang}.wikipedia.org/wiki/${encodeURIComponent(title.replace(/ /g, "_"))}`
+          : null,
+      },
+    };
+
+    cacheSet(cacheKey, out, config.geoCacheTtlMs);
+    return out;
+  } catch {
+    return empty;
+  }
+}
+
 /**
  * Nearby Wikipedia context facts from coordinates.
  *
@@ -288,7 +378,7 @@ export async function tryPersonFactsFromName(name, lang = "en") {
  * - items: per-page facts (so caller can filter by primary entity)
  * - facts: flattened list (kept for backward compatibility)
  */
-export async function getNearbyWikiContext({ lat, lon, lang = "en", radiusM = 1200, limit = 8 }) {
+export async function getNearbyWikiContext({ lat, lon, lang = "en", radiusM = 1200, limit = 8, region = "" }) {
   try {
     const l = normalizeLang(lang);
 
@@ -298,7 +388,7 @@ export async function getNearbyWikiContext({ lat, lon, lang = "en", radiusM = 12
       return { ok: false, facts: [], pages: [], items: [] };
     }
 
-    const cacheKey = `nearbywikictx:${l}:${la.toFixed(5)},${lo.toFixed(5)}:${radiusM}:${limit}`;
+    const cacheKey = `nearbywikictx:${l}:${region}:${la.toFixed(5)},${lo.toFixed(5)}:${radiusM}:${limit}`;
     const cached = cacheGet(cacheKey);
     if (cached) return cached;
 
@@ -342,20 +432,26 @@ export async function getNearbyWikiContext({ lat, lon, lang = "en", radiusM = 12
       const page = map?.[p.pageid];
       const intro = String(page?.extract || "");
       if (!intro) continue;
-      if (isSensitiveText(intro)) continue;
+      if (blocked(intro, region)) continue;
 
-      const nameOrigin = tryNameOriginFromIntro(intro, l);
+      const nameOrigin = tryNameOriginFromIntro(intro, l, region);
       const s1 = firstSentences(intro, 1)[0] || "";
-      const line1 = safeFactLine(s1);
+      const line1 = factLine(s1, region);
 
       const facts = [];
       if (nameOrigin) facts.push(safeTrim(nameOrigin, 220));
       if (line1) facts.push(safeTrim(line1, 220));
 
-      const cleanFacts = facts.map(safeFactLine).filter(Boolean);
+      const cleanFacts = facts.map((f) => factLine(f, region)).filter(Boolean);
       if (!cleanFacts.length) continue;
 
-      const it = { title: p.title, pageid: p.pageid, dist: p.dist, facts: cleanFacts };
+      const it = {
+        title: p.title,
+        pageid: p.pageid,
+        dist: p.dist,
+        url: `https://${l}.wikipedia.org/?curid=${p.pageid}`,
+        facts: cleanFacts,
+      };
       items.push(it);
 
       for (const f of cleanFacts) allFacts.push(f);